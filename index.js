@@ -2,15 +2,92 @@ import express from 'express';
 import cors from 'cors';
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
-import axios from 'axios';
 import ffmpeg from 'fluent-ffmpeg';
 import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import ffprobeInstaller from '@ffprobe-installer/ffprobe';
 import * as fs from 'fs/promises';
 import { existsSync, mkdirSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import { spawn } from 'child_process';
+import { randomUUID, randomInt, randomBytes } from 'crypto';
+import {
+  getImageProvider,
+  getDefaultImageProviderName,
+  listImageProviders,
+  resolveImageParams
+} from './server/imageProviders/index.js';
+import { createSoundtrack, extractSoundtrack, getMusicServerUrl, getMaxMusicDuration, AUDIO_SOURCES } from './server/music.js';
+import { probeMedia } from './server/ffmpeg.js';
+import { createMediaUpload, MAX_CAPTION_UPLOAD_BYTES } from './server/uploads.js';
+import { createVideo, MOTIONS, TRANSITIONS, DEFAULT_MOTION, DEFAULT_TRANSITION } from './server/video.js';
+import { draftStoryboard, parseStoryboard, buildFramePrompt, storyboardCutTimes, SHOT_TYPES } from './server/storyboard.js';
+import { analyzeAudio, planBeatCuts, planEvenCuts, CUTS_PER_BAR_OPTIONS, DEFAULT_CUTS_PER_BAR } from './server/audioAnalysis.js';
+import { isFreesoundConfigured } from './server/freesound.js';
+import { getLlmClient } from './server/llm/index.js';
+import { writePlan, PLAN_FIELD_RULES } from './server/planner.js';
+import { readVideoMetadata, createPoster, createPreview } from './server/thumbnails.js';
+import { parseCaptions, clipCues, toWebVtt, toAss, CAPTION_STYLE_RULES } from './server/captions.js';
+import { getOutputPreset, getContainer, generationSize, videoMimeType, listOutputPresets, OUTPUT_PRESETS, DEFAULT_OUTPUT_PRESET } from './server/presets.js';
+import {
+  createJob,
+  getJob,
+  updateJob,
+  cancelJob,
+  serializeJob,
+  subscribeToJob,
+  isJobFinished,
+  trackTempPath,
+  removeJobTempFiles,
+  JOB_STATUS
+} from './server/jobs.js';
+import { parseGalleryQuery, encodeCursor, deleteVideoFiles, VIDEO_STATUSES } from './server/gallery.js';
+import {
+  getStoragePolicy,
+  removeStaleTempFiles,
+  removeOrphanVideoFiles,
+  listFileSizes,
+  scheduleJanitor
+} from './server/janitor.js';
+import { rearrangeFrames, scaleCutTimes } from './server/projects.js';
+import { createAssetCache, DEFAULT_CACHE_MAX_BYTES } from './server/cache.js';
+import { withRetry, settleWithConcurrency } from './server/retry.js';
+import {
+  createSessions,
+  hashPassword,
+  verifyPassword,
+  parseCredentials,
+  isAdmin,
+  ownedBy,
+  USER_ROLES
+} from './server/auth.js';
+import { createRateLimiter } from './server/rateLimit.js';
+import { getCreditPolicy, createCreditLedger, estimateFrameCount, generationCost } from './server/credits.js';
+import {
+  checkFields,
+  validate,
+  sendValidationError,
+  fieldError,
+  isMissing,
+  text,
+  number,
+  oneOf,
+  boolean,
+  json,
+  ValidationError
+} from './server/validation.js';
+import { getModerationPolicy, moderate } from './server/moderation/index.js';
+import { getHlsPolicy, packageHls, HLS_MASTER_PLAYLIST } from './server/hls.js';
+import {
+  getHealthPolicy,
+  createHealthMonitor,
+  findFailure,
+  checkMongo,
+  checkMusicServer,
+  checkBinary,
+  checkDiskSpace
+} from './server/health.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -18,51 +95,348 @@ const __dirname = dirname(__filename);
 // Load environment variables
 dotenv.config({ path: path.join(__dirname, '.env') });
 
-// Verify required API keys
-if (!process.env.FREE_SOUND_API_KEY || !process.env.STABILITY_API_KEY) {
-  console.error('Missing required API keys in environment variables');
+// Freesound is only the soundtrack fallback, so a missing key just disables it
+if (!isFreesoundConfigured()) {
+  console.warn('FREE_SOUND_API_KEY is not set; the Freesound soundtrack fallback is disabled');
+}
+
+// The default image provider (IMAGE_PROVIDER, "stability" unless set) must be usable
+try {
+  if (!getImageProvider().isConfigured()) {
+    throw new Error(`Image provider "${getDefaultImageProviderName()}" is missing its API key`);
+  }
+} catch (error) {
+  console.error(error.message);
   process.exit(1);
 }
 
+// Sessions are signed with SESSION_SECRET. Without it a random secret is made up at
+// startup, and everyone has to log in again whenever the server restarts.
+if (!process.env.SESSION_SECRET) {
+  console.warn('SESSION_SECRET is not set; sessions will not survive a restart');
+}
+const sessions = createSessions(process.env.SESSION_SECRET || randomBytes(32).toString('hex'));
+
+// Accounts registered with one of these addresses (comma-separated) are admins
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
 const app = express();
+// Behind a reverse proxy, TRUST_PROXY (a hop count or address list) lets rate limits see the client's IP
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
 app.use(cors({
   origin: 'http://localhost:3000', // React default port
-  methods: ['GET', 'POST'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
   credentials: true
 }));
 app.use(express.json());
+// A body express.json couldn't read gets the same kind of answer as any other bad field
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+    const message = error.type === 'entity.too.large' ? `must be at most ${error.limit / 1024} KB` : 'must be valid JSON';
+    return res.status(error.status).json({ error: `body ${message}`, fields: [{ field: 'body', message }] });
+  }
+  next(error);
+});
+app.use(sessions.authenticate);
+// Types of the files rendered next to each video; anything else is the video itself
+const SIDECAR_TYPES = {
+  '.vtt': 'text/vtt',
+  '.jpg': 'image/jpeg',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t'
+};
+
 app.use('/videos', (req, res, next) => {
-  res.header('Content-Type', 'video/mp4');
+  const extension = path.extname(req.path);
+  res.header('Content-Type', SIDECAR_TYPES[extension] || videoMimeType(req.path));
   res.header('Accept-Ranges', 'bytes');
+  // HLS segments never change once written, so players and CDNs can keep them;
+  // playlists are checked again each time, so a removed video stops playing
+  if (extension === '.ts') {
+    res.header('Cache-Control', 'public, max-age=31536000, immutable');
+  } else if (extension === '.m3u8') {
+    res.header('Cache-Control', 'no-cache');
+  }
   next();
 }, express.static(path.join(__dirname, 'videos')));
 
 // MongoDB setup
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/soundapi-app')
-  .then(() => console.log('Connected to MongoDB'))
-  .catch(err => console.error('MongoDB connection error:', err));
+// A first connection that fails is never retried by mongoose, so keep trying until one
+// works. Meanwhile /api/health reports MongoDB as down and new jobs are refused.
+const MONGODB_RETRY_MS = 10000;
+
+// Resolves once connected, however many attempts that takes
+function connectToMongo() {
+  return mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/soundapi-app')
+    .then(() => console.log('Connected to MongoDB'))
+    .catch(err => {
+      console.error(`MongoDB connection error (retrying in ${MONGODB_RETRY_MS / 1000}s):`, err.message);
+      return new Promise(resolve => setTimeout(resolve, MONGODB_RETRY_MS)).then(connectToMongo);
+    });
+}
+
+const mongoConnected = connectToMongo();
+
+const userSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  passwordHash: { type: String, required: true },
+  // Admins see and manage everyone's videos, projects and jobs
+  role: { type: String, enum: USER_ROLES, default: 'user' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const User = mongoose.model('User', userSchema);
 
 const videoSchema = new mongoose.Schema({
+  // The account that generated the video
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
   prompt: String,
+  title: String,
+  musicPrompt: String,
+  visualStyle: String,
   videoUrl: String,
+  posterUrl: String,
+  previewUrl: String,
+  captionsUrl: String,
+  // Master playlist of the HLS ladder, when the video was packaged for streaming
+  hlsUrl: String,
+  captionStyle: {
+    font: String,
+    size: Number,
+    position: String,
+    outline: Number
+  },
   duration: { type: Number, required: true },
+  width: Number,
+  height: Number,
+  fileSize: Number,
+  motion: String,
+  transition: String,
+  outputPreset: String,
+  bpm: Number,
+  cutsPerBar: Number,
+  cutTimes: [Number],
+  storyboard: [{
+    _id: false,
+    prompt: String,
+    shotType: String,
+    duration: Number,
+    negativePrompt: String
+  }],
+  // Whether the storyboard came from the user rather than being planned from the audio
+  customStoryboard: Boolean,
+  // Everything needed to reproduce the result: the image provider and its settings,
+  // the exact prompt and seed of every frame, and where the soundtrack came from
+  imageProvider: String,
+  imageParams: mongoose.Schema.Types.Mixed,
+  imageSize: {
+    width: Number,
+    height: Number
+  },
+  seed: Number,
+  // "increment" gives frame i the seed + i, "fixed" gives every frame the same seed
+  seedMode: String,
+  negativePrompt: String,
+  enhancers: Boolean,
+  frames: [{
+    _id: false,
+    prompt: String,
+    negativePrompt: String,
+    seed: Number,
+    start: Number,
+    // Set when the frame failed and a copy of its neighbour or a placeholder stands in
+    substitute: String
+  }],
+  // What to do when a frame can't be generated: fail, neighbour or placeholder
+  frameFailure: String,
+  audioSource: mongoose.Schema.Types.Mixed,
+  remixOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Video' },
+  // The project this video was rendered from, and which render of it this is (1 for the first)
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+  version: Number,
+  // Failed and cancelled generations are kept too, with the error, so they can be found and retried
+  status: { type: String, enum: VIDEO_STATUSES, default: JOB_STATUS.COMPLETED },
+  error: String,
+  // Pinned videos are never expired by the retention period or the storage quota
+  pinned: { type: Boolean, default: false },
   createdAt: { type: Date, default: Date.now },
   hasAudio: Boolean
 });
 
+// Gallery search and its newest-first cursor pagination
+videoSchema.index({
+  prompt: 'text',
+  title: 'text',
+  musicPrompt: 'text',
+  visualStyle: 'text',
+  'storyboard.prompt': 'text'
+});
+videoSchema.index({ createdAt: -1, _id: -1 });
+
 const Video = mongoose.model('Video', videoSchema);
 
-// Set FFmpeg path
-ffmpeg.setFfmpegPath(ffmpegInstaller.path);
+// The assets behind a generated video, kept so single frames can be redone, the
+// timeline edited or the soundtrack swapped, and the video rendered again without
+// paying for everything twice. Files live in projects/<id>/.
+const projectSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  prompt: String,
+  title: String,
+  musicPrompt: String,
+  visualStyle: String,
+  audio: {
+    file: String,
+    source: mongoose.Schema.Types.Mixed
+  },
+  duration: Number,
+  bpm: Number,
+  // Frame i is on screen from cutTimes[i] to the next cut
+  frames: [{
+    _id: false,
+    file: String,
+    prompt: String,
+    negativePrompt: String,
+    seed: Number,
+    substitute: String
+  }],
+  cutTimes: [Number],
+  captions: {
+    cues: [{
+      _id: false,
+      start: Number,
+      end: Number,
+      text: String
+    }],
+    style: {
+      font: String,
+      size: Number,
+      position: String,
+      outline: Number
+    }
+  },
+  imageProvider: String,
+  imageParams: mongoose.Schema.Types.Mixed,
+  imageSize: {
+    width: Number,
+    height: Number
+  },
+  motion: String,
+  transition: String,
+  outputPreset: String,
+  versions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Video' }]
+}, { timestamps: true });
 
-// Add these constants at the top of your file
-const DEFAULT_CATEGORIES = [
-  'ambient music',
-  'background music',
-  'soundtrack',
-  'atmospheric music',
-  'instrumental'
-];
+const Project = mongoose.model('Project', projectSchema);
+
+// One line of the credit ledger: the estimated charge when work is accepted, then its
+// correction to the actual cost or a refund if it fails. See server/credits.js.
+const creditEntrySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // The generation job or frame regeneration paid for
+  jobId: { type: String, required: true },
+  kind: { type: String, enum: ['charge', 'adjustment', 'refund'], required: true },
+  credits: { type: Number, required: true },
+  details: {
+    frames: Number,
+    musicSeconds: Number
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+creditEntrySchema.index({ user: 1, createdAt: -1 });
+creditEntrySchema.index({ user: 1, jobId: 1 });
+
+const CreditEntry = mongoose.model('CreditEntry', creditEntrySchema);
+
+// Set FFmpeg path; FFMPEG_PATH/FFPROBE_PATH point at a system build instead of the bundled one
+const FFMPEG_PATH = process.env.FFMPEG_PATH || ffmpegInstaller.path;
+const FFPROBE_PATH = process.env.FFPROBE_PATH || ffprobeInstaller.path;
+ffmpeg.setFfmpegPath(FFMPEG_PATH);
+ffmpeg.setFfprobePath(FFPROBE_PATH);
+
+// Everything jobs depend on, checked for /api/health and before a job is accepted
+const healthPolicy = getHealthPolicy();
+const healthMonitor = createHealthMonitor({
+  mongodb: () => checkMongo(mongoose.connection),
+  musicServer: () => checkMusicServer(getMusicServerUrl(), { timeoutMs: healthPolicy.musicTimeoutMs }),
+  ffmpeg: () => checkBinary('ffmpeg', FFMPEG_PATH),
+  ffprobe: () => checkBinary('ffprobe', FFPROBE_PATH),
+  tempDisk: () => checkDiskSpace(path.join(__dirname, 'temp'), { minFreeBytes: healthPolicy.minFreeBytes, label: 'temp/' }),
+  videosDisk: () => checkDiskSpace(path.join(__dirname, 'videos'), { minFreeBytes: healthPolicy.minFreeBytes, label: 'videos/' }),
+  imageProvider: () => {
+    const name = getDefaultImageProviderName();
+    const ok = getImageProvider(name).isConfigured();
+    return { ok, name, ...(!ok && { error: `image provider "${name}" is missing its API key` }) };
+  }
+}, { cacheMs: healthPolicy.cacheMs });
+
+// What every render needs, and on top of that what a generation needs
+const RENDER_DEPENDENCIES = ['mongodb', 'ffmpeg', 'ffprobe', 'tempDisk', 'videosDisk'];
+const GENERATION_DEPENDENCIES = [...RENDER_DEPENDENCIES, 'imageProvider'];
+
+// A generation without a soundtrack needs the music server, unless Freesound can stand in
+function soundtrackDependencies(hasSoundtrack) {
+  return hasSoundtrack || isFreesoundConfigured() ? [] : ['musicServer'];
+}
+
+// Refuse a job up front when something it needs is down, rather than have it fail minutes
+// in. Sends a 503 naming the dependency and resolves to true when it did.
+async function refuseIfUnhealthy(res, dependencies) {
+  const failure = findFailure(await healthMonitor.report(), dependencies);
+  if (!failure) {
+    return false;
+  }
+  res.set('Retry-After', String(Math.max(Math.ceil(healthPolicy.cacheMs / 1000), 1)));
+  res.status(503).json({ error: `New jobs can't start right now: ${failure.error}`, dependency: failure.dependency });
+  return true;
+}
+
+// Longest soundtrack we accept for upload, in seconds
+const MAX_UPLOAD_DURATION = Number(process.env.MAX_UPLOAD_DURATION) || 600;
+const acceptUploads = createMediaUpload(path.join(__dirname, 'temp', 'uploads'));
+
+// Every frame and second of music is paid for from the user's monthly credits
+const creditPolicy = getCreditPolicy();
+const creditLedger = createCreditLedger(CreditEntry, creditPolicy);
+
+// Prompts and other texts are checked before any paid call (see server/moderation)
+const moderationPolicy = getModerationPolicy();
+
+// Finished videos are also packaged for adaptive streaming when HLS_ENABLED is set
+const hlsPolicy = getHlsPolicy();
+
+// Requests that start paid work, per account and per IP address, in a sliding window of
+// RATE_LIMIT_WINDOW_MINUTES (60): RATE_LIMIT_PER_USER (10) and RATE_LIMIT_PER_IP (30)
+const RATE_LIMIT_WINDOW_MS = (Number(process.env.RATE_LIMIT_WINDOW_MINUTES) || 60) * 60 * 1000;
+const userRateLimit = createRateLimiter({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: Number(process.env.RATE_LIMIT_PER_USER) || 10,
+  keyOf: req => req.user?.id,
+  label: 'for this account'
+});
+const ipRateLimit = createRateLimiter({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: Number(process.env.RATE_LIMIT_PER_IP) || 30,
+  keyOf: req => req.ip,
+  label: 'from this address'
+});
+const limitGenerations = [ipRateLimit.middleware, userRateLimit.middleware];
+
+// Frames requested from the image provider at once, and retries for each one that
+// hits a rate limit, server error or timeout
+const FRAME_CONCURRENCY = Math.max(Number(process.env.FRAME_CONCURRENCY) || 3, 1);
+const FRAME_RETRIES = process.env.FRAME_RETRIES ? Number(process.env.FRAME_RETRIES) : 3;
+const FRAME_FAILURE_POLICIES = ['fail', 'neighbour', 'placeholder'];
+
+// Generated frames and music, reused for identical requests; CACHE_MAX_MB caps its size
+const assetCache = createAssetCache(path.join(__dirname, 'cache'), {
+  maxBytes: Number(process.env.CACHE_MAX_MB) * 1024 * 1024 || DEFAULT_CACHE_MAX_BYTES
+});
 
 // Ensure directories exist
 ['temp', 'videos'].forEach(dir => {
@@ -72,318 +446,1850 @@ const DEFAULT_CATEGORIES = [
   }
 });
 
-// Function to generate better prompts for each frame
-function generateFramePrompt(basePrompt, index, totalFrames) {
-  const scenes = {
-    1: 'wide establishing shot, cinematic landscape',
-    2: 'medium shot, focusing on main subject',
-    3: 'close-up shot, showing details',
-    4: 'action shot, dynamic movement',
-    5: 'dramatic finale shot'
+// Everything that decides what an image provider draws, as the frame's cache key.
+// The local provider writes the frame number on the image, so position counts too.
+function frameCacheParams(provider, { prompt, negativePrompt, seed, params, width, height, index, totalFrames }) {
+  return {
+    provider: provider.name,
+    fixed: provider.params,
+    params,
+    prompt,
+    negativePrompt,
+    seed,
+    width,
+    height,
+    index,
+    totalFrames
   };
+}
 
-  const enhancers = [
-    'cinematic lighting',
-    'professional photography',
-    'high detail',
-    '8k resolution',
-    'masterful composition'
-  ];
-
-  const sceneType = scenes[index] || scenes[1];
-  return `${basePrompt}, ${sceneType}, ${enhancers.join(', ')}`;
+// Have the provider draw a frame, or copy it from the cache when it drew the same one before
+async function generateFrame(provider, request, cache) {
+  const generate = () => provider.generateImage(request);
+  return cache
+    ? cache.fetch('frame', frameCacheParams(provider, request), request.outputPath, generate)
+    : generate();
 }
 
-// Function to extract keywords from prompt
-function extractKeywords(prompt) {
-  // Remove common words and split into keywords
-  const commonWords = ['a', 'an', 'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'with', 'by'];
-  const words = prompt.toLowerCase().split(/\W+/);
-  const keywords = words.filter(word => 
-    word.length > 2 && !commonWords.includes(word)
-  );
-  return keywords;
+// Find the closest frame to `index` that was generated, looking back before forward
+function nearestGeneratedFrame(results, index) {
+  for (let distance = 1; distance < results.length; distance++) {
+    for (const candidate of [index - distance, index + distance]) {
+      if (results[candidate]?.value) {
+        return candidate;
+      }
+    }
+  }
+  return -1;
 }
 
-// Default sound categories for fallback
-const defaultSounds = [
-  'ambient',
-  'background music',
-  'melody',
-  'atmospheric',
-  'soundtrack'
-];
+// Render one frame per entry of `frameSpecs` ({ prompt, negativePrompt, seed }),
+// with the provider settings in `params`. Up to `concurrency` frames are requested at
+// once, and rate limits, server errors and timeouts are retried with backoff.
+// A frame that still fails fails the whole batch, unless `onFailure` lets a copy of
+// the nearest generated frame ('neighbour') or an offline placeholder stand in.
+// Resolves to { frames, substitutions } with one frame path per spec.
+async function generateVideoFrames(frameSpecs, {
+  provider = getImageProvider(),
+  params = {},
+  size = { width: 1024, height: 1024 },
+  workDir = path.join(__dirname, 'temp'),
+  cache,
+  concurrency = FRAME_CONCURRENCY,
+  retries = FRAME_RETRIES,
+  onFailure = 'fail',
+  signal,
+  onProgress = () => {}
+} = {}) {
+  const numFrames = frameSpecs.length;
+  console.log('Starting frame generation:', { numFrames, provider: provider.name, concurrency, ...size });
+
+  // Stops the frames still queued or in flight once one has failed for good
+  const batch = new AbortController();
+  const batchSignal = signal ? AbortSignal.any([signal, batch.signal]) : batch.signal;
+  let fatal = null;
+  // Frames finish out of order, so progress counts them rather than using the index
+  let completed = 0;
+
+  const results = await settleWithConcurrency(frameSpecs, concurrency, async ({ prompt, negativePrompt, seed }, i) => {
+    batchSignal.throwIfAborted();
+    const request = {
+      prompt,
+      negativePrompt,
+      seed,
+      params,
+      width: size.width,
+      height: size.height,
+      index: i + 1,
+      totalFrames: numFrames,
+      outputPath: path.join(workDir, `frame_${Date.now()}_${i + 1}.png`),
+      signal: batchSignal
+    };
+
+    try {
+      const framePath = await withRetry(() => generateFrame(provider, request, cache), {
+        retries,
+        signal: batchSignal,
+        onRetry: ({ error, attempt, delay }) => {
+          console.warn(`Frame ${i + 1} failed (${error.message}), retry ${attempt}/${retries} in ${delay} ms`);
+          onProgress({ stage: `Image provider busy, retrying frame ${i + 1} in ${Math.ceil(delay / 1000)}s...` });
+        }
+      });
+
+      completed += 1;
+      onProgress({
+        stage: `Generated frame ${completed}/${numFrames}`,
+        progress: 35 + Math.round((completed / numFrames) * 35)
+      });
+      return framePath;
+    } catch (error) {
+      if (!batchSignal.aborted) {
+        console.error(`Error generating frame ${i + 1}:`, error.message);
+        if (onFailure === 'fail') {
+          fatal = { index: i, error };
+          batch.abort();
+        }
+      }
+      throw error;
+    }
+  });
 
-// Function to generate music using AudioCraft
-async function generateMusicFromPrompt(prompt, duration) {
-  try {
-    console.log('Attempting to generate music with prompt:', prompt);
-    
-    const response = await axios({
-      method: 'post',
-      url: 'http://127.0.0.1:5001/generate-music',
-      data: { prompt, duration },
-      responseType: 'arraybuffer',
-      timeout: 600000, // Increase timeout to 10 minutes
-      headers: {
-        'Content-Type': 'application/json'
+  signal?.throwIfAborted();
+  if (fatal) {
+    throw new Error(`Failed to generate frame ${fatal.index + 1}: ${fatal.error.message}`);
+  }
+
+  const frames = results.map(result => result.value);
+  const substitutions = [];
+  for (const [i, result] of results.entries()) {
+    if (!result.error) {
+      continue;
+    }
+    // Each stand-in is its own file so it can later be regenerated on its own
+    const outputPath = path.join(workDir, `frame_${Date.now()}_${i + 1}_substitute.png`);
+    if (onFailure === 'neighbour') {
+      const source = nearestGeneratedFrame(results, i);
+      if (source === -1) {
+        throw new Error(`Failed to generate any frame: ${result.error.message}`);
       }
-    });
+      await fs.copyFile(results[source].value, outputPath);
+      substitutions.push({ index: i, substitute: 'neighbour', source, error: result.error.message });
+    } else {
+      await getImageProvider('local').generateImage({
+        prompt: frameSpecs[i].prompt,
+        width: size.width,
+        height: size.height,
+        index: i + 1,
+        totalFrames: numFrames,
+        outputPath,
+        signal
+      });
+      substitutions.push({ index: i, substitute: 'placeholder', error: result.error.message });
+    }
+    frames[i] = outputPath;
+  }
 
-    // Save the audio file
-    const outputPath = path.join(__dirname, 'temp', `music_${Date.now()}.wav`);
-    await fs.writeFile(outputPath, response.data);
-    console.log('Music saved to:', outputPath);
-    
-    return outputPath;
-  } catch (error) {
-    console.error('Music generation error:', error);
-    throw error;
+  if (substitutions.length) {
+    console.warn(`${substitutions.length} of ${numFrames} frames substituted:`, substitutions);
+    onProgress({
+      stage: `Generated ${numFrames - substitutions.length}/${numFrames} frames, ${substitutions.length} substituted`,
+      progress: 70,
+      substitutedFrames: substitutions
+    });
   }
+
+  return { frames, substitutions };
 }
 
-// Update the progress tracking
-let generationProgress = {
-  progress: 0,
-  status: '',
-  videoUrl: null,
-  error: null
-};
+function getProjectDir(project) {
+  return path.join(__dirname, 'projects', String(project._id));
+}
+
+// Render the final video from stills and a soundtrack into videos/, along with its
+// poster, hover preview and captions sidecar. `captions` is { cues, style } or null.
+async function renderVideo(frames, audioPath, {
+  cutTimes,
+  preset,
+  motion,
+  transition,
+  captions,
+  workDir,
+  signal,
+  onProgress,
+  logPrefix
+}) {
+  // Lyrics and captions are burned in from an ASS script and muxed as a WebVTT track
+  let burnInPath;
+  let subtitlePath;
+  if (captions) {
+    burnInPath = path.join(workDir, 'captions.ass');
+    subtitlePath = path.join(workDir, 'captions.vtt');
+    await fs.writeFile(burnInPath, toAss(captions.cues, captions.style, preset));
+    await fs.writeFile(subtitlePath, toWebVtt(captions.cues));
+  }
 
-async function generateVideoFrames(prompt, numFrames) {
+  // Create video
+  onProgress({ stage: 'Creating final video...', progress: 75 });
+  const videoName = `video_${Date.now()}_${randomUUID().slice(0, 8)}`;
+  const videoFile = `${videoName}${getContainer(preset).extension}`;
   try {
-    if (!process.env.STABILITY_API_KEY) {
-      throw new Error('Missing Stability API key');
+    const { outputPath: videoPath, transition: renderedTransition } = await createVideo(
+      frames,
+      audioPath,
+      path.join(__dirname, 'videos', videoFile),
+      { cutTimes, preset, motion, transition, burnInPath, subtitlePath, signal, onProgress }
+    );
+    signal.throwIfAborted();
+
+    // Poster and hover preview for the gallery. They're conveniences, so a failure
+    // here is logged and the video is kept without them.
+    onProgress({ stage: 'Creating poster and preview...', progress: 95 });
+    const metadata = await readVideoMetadata(videoPath);
+    let posterUrl = null;
+    let previewUrl = null;
+    try {
+      await createPoster(videoPath, path.join(__dirname, 'videos', `${videoName}_poster.jpg`), { ...metadata, signal });
+      await createPreview(videoPath, path.join(__dirname, 'videos', `${videoName}_preview.mp4`), { ...metadata, signal });
+      posterUrl = `/videos/${videoName}_poster.jpg`;
+      previewUrl = `/videos/${videoName}_preview.mp4`;
+    } catch (error) {
+      signal.throwIfAborted();
+      console.error(`${logPrefix} Poster/preview creation failed:`, error.message);
     }
 
-    console.log('Starting frame generation:', { prompt, numFrames });
-    const frames = [];
-    
-    for (let i = 1; i <= numFrames; i++) {
-      const framePrompt = generateFramePrompt(prompt, i, numFrames);
-      console.log(`Generating frame ${i}/${numFrames}`);
+    // The captions also go next to the video for players that load a <track>
+    let captionsUrl = null;
+    if (subtitlePath) {
+      await fs.copyFile(subtitlePath, path.join(__dirname, 'videos', `${videoName}.vtt`));
+      captionsUrl = `/videos/${videoName}.vtt`;
+    }
 
+    // The HLS ladder is optional too: players fall back to the video file without it
+    let hlsUrl = null;
+    if (hlsPolicy.enabled && metadata.width && metadata.height) {
+      onProgress({ stage: 'Packaging for streaming...', progress: 96 });
       try {
-        const response = await axios({
-          method: 'post',
-          url: 'https://api.stability.ai/v1/generation/stable-diffusion-xl-1024-v1-0/text-to-image',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${process.env.STABILITY_API_KEY}`,
-            'Accept': 'application/json'
-          },
-          data: {
-            text_prompts: [{ text: framePrompt, weight: 1 }],
-            cfg_scale: 7,
-            height: 1024,
-            width: 1024,
-            samples: 1,
-            steps: 25
-          }
+        await packageHls(videoPath, path.join(__dirname, 'videos', `${videoName}_hls`), metadata, {
+          ladder: hlsPolicy.ladder,
+          signal
         });
-
-        if (!response.data?.artifacts?.[0]?.base64) {
-          throw new Error('Invalid response from Stability API');
-        }
-
-        const framePath = path.join(__dirname, 'temp', `frame_${Date.now()}_${i}.png`);
-        await fs.writeFile(framePath, Buffer.from(response.data.artifacts[0].base64, 'base64'));
-        frames.push(framePath);
-
-        // Update progress
-        generationProgress.status = `Generated frame ${i}/${numFrames}`;
-        generationProgress.progress = Math.round((i / numFrames) * 40);
-
-      } catch (frameError) {
-        console.error(`Error generating frame ${i}:`, frameError);
-        throw new Error(`Failed to generate frame ${i}: ${frameError.message}`);
+        hlsUrl = `/videos/${videoName}_hls/${HLS_MASTER_PLAYLIST}`;
+      } catch (error) {
+        signal.throwIfAborted();
+        console.error(`${logPrefix} HLS packaging failed:`, error.message);
       }
     }
 
-    return frames;
+    return {
+      videoUrl: `/videos/${path.basename(videoPath)}`,
+      posterUrl,
+      previewUrl,
+      captionsUrl,
+      hlsUrl,
+      metadata,
+      // What createVideo used, which is what gets recorded
+      transition: renderedTransition
+    };
   } catch (error) {
-    console.error('Frame generation failed:', error);
-    generationProgress.error = error.message;
+    // Anything written before the failure would never be referenced by a record
+    await deleteVideoFiles(path.join(__dirname, 'videos'), { videoUrl: `/videos/${videoFile}` }).catch(console.error);
     throw error;
   }
 }
 
-// Update the createVideo function with proper fs usage
-async function createVideo(frames, audioPath, duration) {
-  return new Promise((resolve, reject) => {
-    try {
-      const outputPath = path.join(__dirname, 'videos', `video_${Date.now()}.mp4`);
-      console.log('Creating video:', { frames: frames.length, audio: audioPath, output: outputPath });
+// Runs the whole pipeline for one job; all state lives on the job itself
+async function runGeneration(job) {
+  const {
+    prompt,
+    duration,
+    imageProvider,
+    audioUpload,
+    motion,
+    transition,
+    outputPreset,
+    cutsPerBar,
+    storyboard,
+    captions,
+    seed,
+    seedMode,
+    imageParams,
+    negativePrompt,
+    enhancers,
+    bypassCache,
+    frameFailure,
+    remixOf,
+    title,
+    musicPrompt,
+    style
+  } = job.params;
+  const { signal } = job.abortController;
+  // Progress reports that arrive after a cancel must not overwrite the cancelled state
+  const onProgress = update => !signal.aborted && updateJob(job, update);
+  const cache = assetCache.session({ bypass: bypassCache, onUpdate: stats => onProgress({ cache: stats }) });
+  // Each job gets its own temp directory so concurrent jobs never touch each other's files.
+  // It goes, along with the upload that started the job, however the job ends.
+  const workDir = trackTempPath(job, path.join(__dirname, 'temp', job.id));
+  if (audioUpload) {
+    trackTempPath(job, audioUpload.path);
+  }
+  const preset = getOutputPreset(outputPreset);
+  const provider = getImageProvider(imageProvider);
+  let projectDir = null;
+
+  try {
+    onProgress({ status: JOB_STATUS.RUNNING, stage: 'Starting generation...' });
+    await fs.mkdir(workDir, { recursive: true });
+    console.log(`[${job.id}] Starting video generation:`, { prompt, duration });
 
-      let command = ffmpeg()
-        .fps(24);
+    // An uploaded soundtrack moves in with the rest of the job's files
+    let uploadedAudioPath = null;
+    if (audioUpload) {
+      uploadedAudioPath = path.join(workDir, path.basename(audioUpload.path));
+      await fs.rename(audioUpload.path, uploadedAudioPath);
+    }
 
-      // Add each frame
-      frames.forEach(frame => {
-        command = command.input(frame);
-      });
+    // Generate music, unless the user brought their own
+    let audioPath;
+    let audioSource;
+    if (uploadedAudioPath) {
+      audioPath = uploadedAudioPath;
+      audioSource = { type: AUDIO_SOURCES.UPLOAD, name: audioUpload.originalName };
+      onProgress({ stage: 'Using uploaded soundtrack', progress: 30, audioSource });
+    } else {
+      onProgress({ stage: 'Generating music...', progress: 5 });
+      ({ audioPath, audioSource } = await createSoundtrack(prompt, duration, { musicPrompt, workDir, signal, cache, onProgress }));
+      onProgress({ stage: 'Music generated', progress: 30, audioSource });
+    }
 
-      // Add audio
-      command = command.input(audioPath);
-
-      command
-        .complexFilter([
-          {
-            filter: 'concat',
-            options: {
-              n: frames.length,
-              v: 1,
-              a: 0
-            },
-            outputs: 'v'
-          }
-        ])
-        .outputOptions([
-          '-c:v', 'libx264',
-          '-preset', 'medium',
-          '-crf', '23',
-          '-c:a', 'aac',
-          '-shortest',
-          '-movflags', '+faststart',
-          '-pix_fmt', 'yuv420p'
-        ])
-        .output(outputPath)
-        .on('progress', progress => {
-          generationProgress.status = `Encoding video: ${Math.round(progress.percent)}%`;
-          generationProgress.progress = 75 + Math.round(progress.percent * 0.2);
-        })
-        .on('end', () => {
-          console.log('Video creation completed:', outputPath);
-          resolve(outputPath);
-        })
-        .on('error', (err) => {
-          console.error('Video creation error:', err);
-          reject(new Error(`Failed to create video: ${err.message}`));
-        })
-        .run();
+    // A storyboard fixes the scene timing; otherwise scene changes land on the beat,
+    // or are spaced evenly when the soundtrack has no steady pulse
+    onProgress({ stage: 'Analyzing soundtrack...', progress: 32 });
+    const analysis = await analyzeAudio(audioPath, { signal });
+    let cutTimes;
+    let scenes;
+    if (storyboard) {
+      cutTimes = storyboardCutTimes(storyboard, analysis.duration);
+      scenes = storyboard.slice(0, cutTimes.length);
+    } else {
+      cutTimes = cutsPerBar && analysis.bpm
+        ? planBeatCuts(analysis, cutsPerBar)
+        : planEvenCuts(analysis.duration, Math.ceil(analysis.duration / 2));
+      scenes = draftStoryboard(prompt, analysis.duration, cutTimes);
+    }
+    console.log(`[${job.id}] Soundtrack analysis:`, { bpm: analysis.bpm, scenes: cutTimes.length });
 
+    // The frame count and the length of the music actually made are known now, so the
+    // estimate charged up front becomes the actual cost, up to what's left of the allowance.
+    // A ledger hiccup is logged rather than failing a generation that's already paid for.
+    const cost = {
+      frames: cutTimes.length,
+      musicSeconds: audioUpload ? 0 : Math.round(Math.min(analysis.duration, duration) * 100) / 100
+    };
+    try {
+      const adjustment = await creditLedger.adjust({ id: job.userId, role: job.userRole }, job.id, generationCost(cost, creditPolicy), cost);
+      if (adjustment.capped) {
+        console.log(`[${job.id}] Credit correction capped at the monthly allowance (${adjustment.credits} credits)`);
+      }
     } catch (error) {
-      console.error('Video creation failed:', error);
-      reject(error);
+      console.error(`[${job.id}] Failed to adjust the credit charge:`, error.message);
     }
-  });
-}
 
-// Helper function to ensure directories exist
-function ensureDirectoriesExist() {
-  const dirs = ['temp', 'videos'].map(dir => path.join(__dirname, dir));
-  dirs.forEach(dir => {
-    if (!existsSync(dir)) {
-      mkdirSync(dir, { recursive: true });
+    // Generate one frame per scene. The request-wide negative prompt applies on top of each scene's own.
+    const frameSpecs = scenes.map((scene, i) => ({
+      prompt: buildFramePrompt(scene, { style, enhancers }),
+      negativePrompt: [scene.negativePrompt, negativePrompt].filter(Boolean).join(', '),
+      seed: seedMode === 'fixed' ? seed : (seed + i) % (MAX_SEED + 1),
+      start: cutTimes[i]
+    }));
+    const imageSize = generationSize(provider, preset);
+    onProgress({ stage: 'Generating frames...', progress: 35, bpm: analysis.bpm });
+    const { frames, substitutions } = await generateVideoFrames(frameSpecs, {
+      provider,
+      params: imageParams,
+      size: imageSize,
+      workDir,
+      cache,
+      onFailure: frameFailure,
+      signal,
+      onProgress
+    });
+    substitutions.forEach(({ index, substitute }) => {
+      frameSpecs[index].substitute = substitute;
+    });
+
+    const captionCues = captions ? clipCues(captions.cues, analysis.duration) : null;
+    const { videoUrl, posterUrl, previewUrl, captionsUrl, hlsUrl, metadata, transition: renderedTransition } = await renderVideo(frames, audioPath, {
+      cutTimes,
+      preset,
+      motion,
+      transition,
+      captions: captionCues && { cues: captionCues, style: captions.style },
+      workDir,
+      signal,
+      onProgress,
+      logPrefix: `[${job.id}]`
+    });
+
+    // Save to database, keeping the stills and soundtrack as a project for later edits
+    onProgress({ stage: 'Finalizing...', progress: 98 });
+    const project = new Project({
+      user: job.userId,
+      prompt,
+      title,
+      musicPrompt,
+      visualStyle: style,
+      duration: analysis.duration,
+      bpm: analysis.bpm,
+      cutTimes,
+      captions: captionCues ? { cues: captionCues, style: captions.style } : undefined,
+      imageProvider: provider.name,
+      imageParams,
+      imageSize,
+      motion,
+      transition: renderedTransition,
+      outputPreset: preset.name
+    });
+    projectDir = getProjectDir(project);
+    await fs.mkdir(projectDir, { recursive: true });
+    const soundtrackFile = `soundtrack${path.extname(audioPath)}`;
+    await fs.rename(audioPath, path.join(projectDir, soundtrackFile));
+    project.audio = { file: soundtrackFile, source: audioSource };
+    for (const [i, framePath] of frames.entries()) {
+      await fs.rename(framePath, path.join(projectDir, path.basename(framePath)));
+      // The frame's start isn't part of the project's frames; it lives on in cutTimes
+      project.frames.push({ file: path.basename(framePath), ...frameSpecs[i] });
     }
-  });
-}
 
-// Helper function to verify file exists and has content
-async function verifyFile(filePath) {
-  try {
-    const stats = await fs.stat(filePath);
-    return stats.size > 0;
+    const video = new Video({
+      prompt,
+      title,
+      musicPrompt,
+      visualStyle: style,
+      videoUrl,
+      posterUrl,
+      previewUrl,
+      captionsUrl,
+      hlsUrl,
+      captionStyle: captions?.style,
+      duration: metadata.duration,
+      width: metadata.width,
+      height: metadata.height,
+      fileSize: metadata.fileSize,
+      motion,
+      transition: renderedTransition,
+      outputPreset: preset.name,
+      bpm: analysis.bpm,
+      cutsPerBar: analysis.bpm && !storyboard ? cutsPerBar : null,
+      cutTimes,
+      storyboard: scenes,
+      customStoryboard: Boolean(storyboard),
+      imageProvider: provider.name,
+      imageParams: { ...provider.params, ...imageParams },
+      imageSize,
+      seed,
+      seedMode,
+      negativePrompt,
+      enhancers,
+      frameFailure,
+      frames: frameSpecs,
+      audioSource,
+      remixOf,
+      user: job.userId,
+      project: project._id,
+      version: 1,
+      hasAudio: metadata.hasAudio
+    });
+
+    await video.save();
+    project.versions.push(video._id);
+    await project.save();
+
+    // Complete
+    onProgress({
+      status: JOB_STATUS.COMPLETED,
+      stage: 'Complete!',
+      progress: 100,
+      videoId: video._id,
+      projectId: project._id,
+      videoUrl,
+      captionsUrl,
+      posterUrl,
+      previewUrl,
+      hlsUrl
+    });
   } catch (error) {
-    return false;
+    // A project that never got saved has nothing pointing at its files
+    if (projectDir) {
+      await fs.rm(projectDir, { recursive: true, force: true }).catch(console.error);
+    }
+    if (signal.aborted) {
+      // cancelJob already marked the job
+      console.log(`[${job.id}] Generation cancelled`);
+      await recordUnfinishedGeneration(job, JOB_STATUS.CANCELLED);
+      return;
+    }
+    console.error(`[${job.id}] Video generation error:`, error);
+    updateJob(job, {
+      status: JOB_STATUS.FAILED,
+      stage: 'Error occurred',
+      error: error.message
+    });
+    // A failed generation is free. A cancelled one keeps its charge: the cancel was the user's call.
+    await creditLedger.refund(job.userId, job.id).catch(refundError => {
+      console.error(`[${job.id}] Failed to refund credits:`, refundError.message);
+    });
+    await recordUnfinishedGeneration(job, JOB_STATUS.FAILED, error.message);
+  } finally {
+    await removeJobTempFiles(job);
   }
 }
 
-// Add a new route to get progress
-app.get('/api/progress', (req, res) => {
-  res.json(generationProgress);
-});
-
-// Update your video generation route
-app.post('/api/generate-video', async (req, res) => {
+// Keep a gallery record of a generation that didn't finish, with the settings it was
+// started with. Only logged on failure: the job itself already reports what went wrong.
+async function recordUnfinishedGeneration(job, status, error) {
+  const { params } = job;
   try {
-    const { prompt, duration } = req.body;
-    const durationNum = Number(duration);
-    
-    if (!prompt?.trim() || isNaN(durationNum)) {
-      throw new Error('Invalid prompt or duration');
-    }
-
-    // Reset progress
-    generationProgress = {
-      progress: 0,
-      status: 'Starting generation...',
-      videoUrl: null,
-      error: null
-    };
+    await new Video({
+      prompt: params.prompt,
+      title: params.title,
+      musicPrompt: params.musicPrompt,
+      visualStyle: params.style,
+      captionStyle: params.captions?.style,
+      duration: params.duration,
+      motion: params.motion,
+      transition: params.transition,
+      outputPreset: params.outputPreset,
+      cutsPerBar: params.cutsPerBar,
+      storyboard: params.storyboard || [],
+      customStoryboard: Boolean(params.storyboard),
+      imageProvider: params.imageProvider,
+      imageParams: params.imageParams,
+      seed: params.seed,
+      seedMode: params.seedMode,
+      negativePrompt: params.negativePrompt,
+      enhancers: params.enhancers,
+      frameFailure: params.frameFailure,
+      remixOf: params.remixOf,
+      user: job.userId,
+      status,
+      error
+    }).save();
+  } catch (saveError) {
+    console.error(`[${job.id}] Failed to record ${status} generation:`, saveError.message);
+  }
+}
 
-    console.log('Starting video generation:', { prompt, duration: durationNum });
+// Projects with a render in progress or an edit being saved; other changes to them wait
+const busyProjects = new Set();
+const PROJECT_BUSY_ERROR = 'The project is being rendered or edited; try again when it finishes';
 
-    // Generate frames
-    generationProgress.status = 'Generating frames...';
-    const frames = await generateVideoFrames(prompt, Math.ceil(durationNum / 2));
+// Render a project's current frames and soundtrack into a new version of its video.
+// Only the final encode runs again: no image or music generation.
+async function runRender(job) {
+  const { projectId, motion, transition, outputPreset } = job.params;
+  const { signal } = job.abortController;
+  const onProgress = update => !signal.aborted && updateJob(job, update);
+  const workDir = trackTempPath(job, path.join(__dirname, 'temp', job.id));
 
-    // Generate music
-    generationProgress.status = 'Generating music...';
-    generationProgress.progress = 45;
-    const audioPath = await generateMusicFromPrompt(prompt, durationNum);
+  try {
+    onProgress({ status: JOB_STATUS.RUNNING, stage: 'Starting render...' });
+    const project = await Project.findById(projectId);
+    if (!project) {
+      throw new Error('Project was deleted');
+    }
+    await fs.mkdir(workDir, { recursive: true });
+    console.log(`[${job.id}] Re-rendering project ${projectId}`);
 
-    // Create video
-    generationProgress.status = 'Creating final video...';
-    generationProgress.progress = 75;
-    const videoPath = await createVideo(frames, audioPath, durationNum);
+    const projectDir = getProjectDir(project);
+    const preset = getOutputPreset(outputPreset || project.outputPreset);
+    const { captions: savedCaptions } = project.toObject();
+    const captions = savedCaptions?.cues?.length ? savedCaptions : null;
+    const { videoUrl, posterUrl, previewUrl, captionsUrl, hlsUrl, metadata, transition: renderedTransition } = await renderVideo(
+      project.frames.map(frame => path.join(projectDir, frame.file)),
+      path.join(projectDir, project.audio.file),
+      {
+        cutTimes: project.cutTimes,
+        preset,
+        motion: motion || project.motion,
+        transition: transition || project.transition,
+        captions,
+        workDir,
+        signal,
+        onProgress,
+        logPrefix: `[${job.id}]`
+      }
+    );
 
-    // Save to database
-    generationProgress.status = 'Finalizing...';
-    generationProgress.progress = 90;
-    const videoUrl = `/videos/${path.basename(videoPath)}`;
-    
+    onProgress({ stage: 'Finalizing...', progress: 98 });
     const video = new Video({
-      prompt,
+      prompt: project.prompt,
+      title: project.title,
+      musicPrompt: project.musicPrompt,
+      visualStyle: project.visualStyle,
       videoUrl,
-      duration: durationNum,
-      hasAudio: true
+      posterUrl,
+      previewUrl,
+      captionsUrl,
+      hlsUrl,
+      captionStyle: captions?.style,
+      duration: metadata.duration,
+      width: metadata.width,
+      height: metadata.height,
+      fileSize: metadata.fileSize,
+      motion: motion || project.motion,
+      transition: renderedTransition,
+      outputPreset: preset.name,
+      bpm: project.bpm,
+      cutTimes: project.cutTimes,
+      imageProvider: project.imageProvider,
+      imageParams: { ...getImageProvider(project.imageProvider).params, ...project.imageParams },
+      imageSize: project.imageSize,
+      frames: project.frames.map((frame, i) => ({
+        prompt: frame.prompt,
+        negativePrompt: frame.negativePrompt,
+        seed: frame.seed,
+        start: project.cutTimes[i]
+      })),
+      audioSource: project.audio.source,
+      user: project.user,
+      project: project._id,
+      version: project.versions.length + 1,
+      hasAudio: metadata.hasAudio
     });
-    
     await video.save();
+    project.versions.push(video._id);
+    await project.save();
 
-    // Clean up
-    await Promise.all([
-      ...frames.map(frame => fs.unlink(frame).catch(console.error)),
-      fs.unlink(audioPath).catch(console.error)
-    ]);
-
-    // Complete
-    generationProgress = {
+    onProgress({
+      status: JOB_STATUS.COMPLETED,
+      stage: 'Complete!',
       progress: 100,
-      status: 'Complete!',
-      videoUrl: videoUrl,
-      error: null
-    };
+      videoId: video._id,
+      projectId: project._id,
+      videoUrl,
+      captionsUrl,
+      posterUrl,
+      previewUrl,
+      hlsUrl
+    });
+  } catch (error) {
+    if (signal.aborted) {
+      console.log(`[${job.id}] Render cancelled`);
+      return;
+    }
+    console.error(`[${job.id}] Render error:`, error);
+    updateJob(job, {
+      status: JOB_STATUS.FAILED,
+      stage: 'Error occurred',
+      error: error.message
+    });
+  } finally {
+    await removeJobTempFiles(job);
+    busyProjects.delete(String(projectId));
+  }
+}
+
+// Largest seed the image providers accept
+const MAX_SEED = 4294967295;
+const SEED_MODES = ['increment', 'fixed'];
+const MAX_NEGATIVE_PROMPT_LENGTH = 500;
+const MAX_PROMPT_LENGTH = 1000;
+// A frame's prompt has the visual style and enhancers added to the scene prompt
+const MAX_FRAME_PROMPT_LENGTH = 2000;
+
+// Shortest video, and longest one with generated music: as much as the music server
+// makes. An uploaded soundtrack may run to MAX_UPLOAD_DURATION.
+const MIN_DURATION = 5;
+const MAX_DURATION = getMaxMusicDuration();
+
+// A seed from the client, or a random one when it left the seed out
+const seedRule = value => number({ integer: true, min: 0, max: MAX_SEED })(value) ?? randomInt(MAX_SEED);
+
+// The soundtrack a client uploaded, checked for being playable and short enough
+async function probeUpload(audioFile) {
+  const media = await probeMedia(audioFile.path).catch(() => null);
+  if (!media?.hasAudio || media.duration <= 0) {
+    throw fieldError('audio', 'has no playable audio');
+  }
+  if (media.duration > MAX_UPLOAD_DURATION) {
+    throw fieldError('audio', `must be at most ${MAX_UPLOAD_DURATION} seconds long`);
+  }
+  return media;
+}
+
+// Check a generation request and turn it into job params; throws a ValidationError
+// listing every bad field. `audioFile` is an uploaded soundtrack (multer file) and
+// `captionsText` the contents of an uploaded caption file, if any.
+async function parseGenerationRequest(body, { audioFile, captionsText = body.captions } = {}) {
+  const { values, errors } = checkFields({
+    prompt: text({ required: true, maxLength: MAX_PROMPT_LENGTH }),
+    // Only needed when neither a storyboard nor a soundtrack decides the length; an
+    // uploaded soundtrack's own length is checked against MAX_UPLOAD_DURATION instead
+    duration: audioFile ? () => undefined : number({ min: MIN_DURATION, max: MAX_DURATION }),
+    // A storyboard's scenes add up to the video duration (multipart sends it as a JSON string)
+    storyboard: json(value => (isMissing(value) ? null : parseStoryboard(value))),
+    motion: oneOf(MOTIONS, { fallback: DEFAULT_MOTION }),
+    transition: oneOf(TRANSITIONS, { fallback: DEFAULT_TRANSITION }),
+    outputPreset: oneOf(Object.keys(OUTPUT_PRESETS), { fallback: DEFAULT_OUTPUT_PRESET }),
+    // 0 turns beat sync off and spaces scenes evenly
+    cutsPerBar: oneOf([0, ...CUTS_PER_BAR_OPTIONS], { fallback: DEFAULT_CUTS_PER_BAR }),
+    // Without a seed each job picks its own, which is recorded so the result can be reproduced
+    seed: seedRule,
+    seedMode: oneOf(SEED_MODES, { fallback: 'increment' }),
+    negativePrompt: text({ maxLength: MAX_NEGATIVE_PROMPT_LENGTH }),
+    frameFailure: oneOf(FRAME_FAILURE_POLICIES, { fallback: 'fail' }),
+    imageProvider: value => {
+      const names = listImageProviders().map(({ name }) => name);
+      const provider = getImageProvider(oneOf(names, { fallback: getDefaultImageProviderName() })(value));
+      if (!provider.isConfigured()) {
+        throw new Error(`"${provider.name}" is not configured`);
+      }
+      return provider;
+    },
+    // Provider settings such as CFG scale and steps (multipart sends them as a JSON string)
+    imageParams: json(value => {
+      if (value !== undefined && (typeof value !== 'object' || value === null || Array.isArray(value))) {
+        throw new Error('must be an object of settings');
+      }
+      return value || {};
+    }),
+    enhancers: boolean({ fallback: true }),
+    // Skip cached frames and music and pay for fresh ones
+    bypassCache: boolean({ fallback: false }),
+    // Title, music prompt and visual style from an edited idea plan, all optional
+    ...PLAN_FIELD_RULES,
+    ...CAPTION_STYLE_RULES
+  }, body);
+
+  if (typeof captionsText === 'string' && captionsText.length > MAX_CAPTION_UPLOAD_BYTES) {
+    errors.push({ field: 'captions', message: `must be at most ${MAX_CAPTION_UPLOAD_BYTES / 1024} KB` });
+  } else if (!isMissing(captionsText) && typeof captionsText !== 'string') {
+    errors.push({ field: 'captions', message: 'must be text' });
+  }
+
+  if (values.imageProvider) {
+    try {
+      values.imageParams = values.imageParams && resolveImageParams(values.imageProvider, values.imageParams);
+    } catch (error) {
+      errors.push({ field: 'imageParams', message: error.message });
+    }
+  }
+
+  // With an uploaded soundtrack its real length decides the video duration
+  let durationNum = values.duration;
+  let audioUpload = null;
+  if (audioFile) {
+    try {
+      durationNum = (await probeUpload(audioFile)).duration;
+      audioUpload = { path: audioFile.path, originalName: audioFile.originalname };
+    } catch (error) {
+      errors.push(...error.fields);
+    }
+  } else if (values.storyboard) {
+    durationNum = values.storyboard.reduce((total, scene) => total + scene.duration, 0);
+    // The music server clamps to these, so a storyboard outside them would outlast or fall
+    // short of its soundtrack
+    if (durationNum < MIN_DURATION) {
+      errors.push({ field: 'storyboard', message: `scenes must add up to at least ${MIN_DURATION} seconds` });
+    } else if (durationNum > MAX_DURATION) {
+      errors.push({ field: 'storyboard', message: `scenes must add up to at most ${MAX_DURATION} seconds` });
+    }
+  } else if (durationNum === undefined && isMissing(body.storyboard) && !errors.some(({ field }) => field === 'duration')) {
+    errors.push({ field: 'duration', message: 'is required' });
+  }
+
+  if (errors.length) {
+    throw new ValidationError(errors);
+  }
+
+  // Lyrics or captions as LRC, SRT, WebVTT or `mm:ss line` text, with optional styling
+  let captions = null;
+  if (captionsText?.trim()) {
+    try {
+      captions = {
+        cues: parseCaptions(captionsText, durationNum),
+        style: {
+          font: values.captionFont,
+          size: values.captionSize,
+          position: values.captionPosition,
+          outline: values.captionOutline
+        }
+      };
+    } catch (error) {
+      throw fieldError('captions', error.message);
+    }
+  }
+
+  return {
+    prompt: values.prompt,
+    duration: durationNum,
+    imageProvider: values.imageProvider.name,
+    audioUpload,
+    motion: values.motion,
+    transition: values.transition,
+    outputPreset: values.outputPreset,
+    cutsPerBar: values.cutsPerBar,
+    storyboard: values.storyboard,
+    captions,
+    seed: values.seed,
+    seedMode: values.seedMode,
+    imageParams: values.imageParams,
+    negativePrompt: values.negativePrompt,
+    enhancers: values.enhancers,
+    bypassCache: values.bypassCache,
+    frameFailure: values.frameFailure,
+    title: values.title,
+    musicPrompt: values.musicPrompt,
+    style: values.style
+  };
+}
+
+// The parts of an account the client gets to see
+function serializeUser(user) {
+  return { id: String(user._id ?? user.id), email: user.email, role: user.role };
+}
+
+function startSession(res, user) {
+  sessions.setCookie(res, sessions.issue(user));
+}
 
-    res.json({ success: true, videoUrl });
+// Create an account and log in to it
+app.post('/api/auth/register', async (req, res) => {
+  let credentials;
+  try {
+    credentials = parseCredentials(req.body, { checkStrength: true });
+  } catch (error) {
+    return sendValidationError(res, error);
+  }
+
+  try {
+    const { email, password } = credentials;
+    if (await User.exists({ email })) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+    const user = await new User({
+      email,
+      passwordHash: await hashPassword(password),
+      role: ADMIN_EMAILS.includes(email) ? 'admin' : 'user'
+    }).save();
+    startSession(res, user);
+    res.status(201).json({ user: serializeUser(user) });
   } catch (error) {
-    console.error('Video generation error:', error);
-    generationProgress.error = error.message;
-    generationProgress.status = 'Error occurred';
-    generationProgress.progress = -1;
+    // Two registrations for the same address at once; the unique index stops the second
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get previous generations
-app.get('/api/videos', async (req, res) => {
+app.post('/api/auth/login', async (req, res) => {
+  let credentials;
   try {
-    const videos = await Video.find()
-      .sort({ createdAt: -1 })
-      .limit(10);
-    res.json(videos);
+    credentials = parseCredentials(req.body);
+  } catch (error) {
+    return sendValidationError(res, error);
+  }
+
+  try {
+    const user = await User.findOne({ email: credentials.email });
+    if (!user || !(await verifyPassword(credentials.password, user.passwordHash))) {
+      return res.status(401).json({ error: 'Wrong email or password' });
+    }
+    startSession(res, user);
+    res.json({ user: serializeUser(user) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Handle errors
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Something broke!' });
+app.post('/api/auth/logout', (req, res) => {
+  sessions.clearCookie(res);
+  res.status(204).end();
+});
+
+// The state of everything jobs depend on. Open without an account, for monitoring and the
+// login page. "unavailable" (503) when no generation could start, "degraded" when
+// something is down that only some jobs need. Only admins see more than whether each
+// check is ok: disk usage, versions, URLs and errors say too much about the server.
+app.get('/api/health', async (req, res) => {
+  const report = await healthMonitor.report();
+  const checksOk = Object.values(report.checks).every(check => check.ok);
+  const status = findFailure(report, GENERATION_DEPENDENCIES) ? 'unavailable' : checksOk ? 'ok' : 'degraded';
+  const checks = isAdmin(req.user)
+    ? report.checks
+    : Object.fromEntries(Object.entries(report.checks).map(([name, check]) => [name, { ok: check.ok }]));
+  res.status(status === 'unavailable' ? 503 : 200).json({ status, checkedAt: report.checkedAt, checks });
+});
+
+// Everything else under /api needs an account
+app.use('/api', sessions.requireUser);
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Charge the estimated cost of a generation before it starts: a frame per expected scene,
+// plus the music unless a soundtrack came with it. Sends a 402 and resolves to false when
+// the user's credits don't cover it.
+async function chargeForGeneration(req, res, jobId, params) {
+  const cost = {
+    frames: estimateFrameCount(params),
+    musicSeconds: params.audioUpload ? 0 : params.duration
+  };
+  const credits = generationCost(cost, creditPolicy);
+  const { charged, remaining } = await creditLedger.charge(req.user, jobId, credits, cost);
+  if (!charged) {
+    res.status(402).json({
+      error: `This video needs about ${credits} credits but only ${remaining} are left this month`,
+      required: credits,
+      remaining
+    });
+  }
+  return charged;
+}
+
+// Put a generation's texts past moderation before anything is paid for. Resolves to the
+// params with any rewritten texts swapped in and the names of the fields that changed.
+async function moderateGeneration(params) {
+  const rewrites = await moderate({
+    prompt: params.prompt,
+    title: params.title,
+    musicPrompt: params.musicPrompt,
+    style: params.style,
+    // Negative prompts go to the image provider as well
+    negativePrompt: params.negativePrompt,
+    ...Object.fromEntries((params.storyboard || []).flatMap((scene, i) => [
+      [`storyboard[${i}].prompt`, scene.prompt],
+      [`storyboard[${i}].negativePrompt`, scene.negativePrompt]
+    ])),
+    ...Object.fromEntries((params.captions?.cues || []).map((cue, i) => [`captions[${i}].text`, cue.text]))
+  }, { policy: moderationPolicy });
+
+  const rewritten = Object.keys(rewrites);
+  if (!rewritten.length) {
+    return { params, rewritten };
+  }
+  return {
+    params: {
+      ...params,
+      prompt: rewrites.prompt ?? params.prompt,
+      title: rewrites.title ?? params.title,
+      musicPrompt: rewrites.musicPrompt ?? params.musicPrompt,
+      style: rewrites.style ?? params.style,
+      negativePrompt: rewrites.negativePrompt ?? params.negativePrompt,
+      storyboard: params.storyboard?.map((scene, i) => ({
+        ...scene,
+        prompt: rewrites[`storyboard[${i}].prompt`] ?? scene.prompt,
+        negativePrompt: rewrites[`storyboard[${i}].negativePrompt`] ?? scene.negativePrompt
+      })) ?? null,
+      captions: params.captions && {
+        ...params.captions,
+        cues: params.captions.cues.map((cue, i) => ({ ...cue, text: rewrites[`captions[${i}].text`] ?? cue.text }))
+      }
+    },
+    rewritten
+  };
+}
+
+// Blocked texts are the client's to fix; when the classifier can't answer, nothing goes ahead
+function sendModerationError(res, error) {
+  if (error instanceof ValidationError) {
+    return sendValidationError(res, error);
+  }
+  console.error('Moderation failed:', error);
+  return res.status(503).json({ error: `Moderation is not available: ${error.message}` });
+}
+
+// Start a generation job and return its ID right away.
+// Accepts JSON, or multipart with an `audio` file to use as the soundtrack.
+app.post('/api/generate-video', limitGenerations, acceptUploads, async (req, res) => {
+  const audioFile = req.files?.audio?.[0];
+  const captionsFile = req.files?.captions?.[0];
+
+  const discardAudio = async () => {
+    if (audioFile) {
+      await fs.unlink(audioFile.path).catch(console.error);
+    }
+  };
+  const reject = async (error) => {
+    await discardAudio();
+    sendValidationError(res, error);
+  };
+
+  // The caption file is read here and never needed again
+  let captionsText = req.body.captions;
+  if (captionsFile) {
+    captionsText = captionsFile.size <= MAX_CAPTION_UPLOAD_BYTES ? await fs.readFile(captionsFile.path, 'utf8') : null;
+    await fs.unlink(captionsFile.path).catch(console.error);
+    if (captionsText === null) {
+      return reject(fieldError('captions', `must be at most ${MAX_CAPTION_UPLOAD_BYTES / 1024} KB`));
+    }
+  }
+
+  if (await refuseIfUnhealthy(res, [...GENERATION_DEPENDENCIES, ...soundtrackDependencies(Boolean(audioFile))])) {
+    return discardAudio();
+  }
+
+  let params;
+  try {
+    params = await parseGenerationRequest(req.body, { audioFile, captionsText });
+  } catch (error) {
+    return reject(error);
+  }
+
+  let rewritten;
+  try {
+    ({ params, rewritten } = await moderateGeneration(params));
+  } catch (error) {
+    await discardAudio();
+    return sendModerationError(res, error);
+  }
+
+  const jobId = randomUUID();
+  try {
+    if (!(await chargeForGeneration(req, res, jobId, params))) {
+      return discardAudio();
+    }
+  } catch (error) {
+    await discardAudio();
+    return res.status(500).json({ error: error.message });
+  }
+
+  const job = createJob(params, { userId: req.user.id, userRole: req.user.role, id: jobId });
+  runGeneration(job);
+
+  res.status(202).json({ requestId: job.id, status: job.status, duration: params.duration, rewritten });
 });
 
+// The tunable part of recorded image settings
+function pickControls(providerName, params) {
+  if (!providerName || !params) {
+    return undefined;
+  }
+  const { controls } = getImageProvider(providerName);
+  return Object.fromEntries(Object.entries(params).filter(([name]) => controls[name]));
+}
+
+// Request fields a remix can override; everything else comes from the original video
+const REMIX_FIELDS = [
+  'prompt', 'duration', 'title', 'musicPrompt', 'style', 'storyboard', 'motion', 'transition',
+  'outputPreset', 'cutsPerBar', 'imageProvider', 'imageParams', 'seed', 'seedMode', 'negativePrompt', 'enhancers',
+  'captions', 'captionFont', 'captionSize', 'captionPosition', 'captionOutline', 'bypassCache',
+  'frameFailure'
+];
+
+// Generate a new video from the settings of an existing one, with any of REMIX_FIELDS
+// overridden in the body. The original soundtrack is reused unless the overrides change
+// the music (musicPrompt, duration) or `reuseSoundtrack` is false.
+app.post('/api/videos/:id/remix', limitGenerations, async (req, res) => {
+  const { reuseSoundtrack, ...overrides } = req.body;
+
+  const unknownFields = Object.keys(overrides).filter(field => !REMIX_FIELDS.includes(field));
+  const errors = unknownFields.map(field => ({ field, message: `cannot be overridden. Use: ${REMIX_FIELDS.join(', ')}` }));
+  if (!isMissing(reuseSoundtrack) && typeof reuseSoundtrack !== 'boolean') {
+    errors.push({ field: 'reuseSoundtrack', message: 'must be true or false' });
+  }
+  if (errors.length) {
+    return sendValidationError(res, new ValidationError(errors));
+  }
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: 'Video not found' });
+  }
+  if (await refuseIfUnhealthy(res, GENERATION_DEPENDENCIES)) {
+    return;
+  }
+
+  let audioFile = null;
+  try {
+    const original = await Video.findOne({ _id: req.params.id, ...ownedBy(req.user) });
+    if (!original) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    // Captions only survive as the sidecar WebVTT file, which parses like any other upload
+    let captions;
+    if (original.captionsUrl) {
+      captions = await fs.readFile(path.join(__dirname, original.captionsUrl), 'utf8').catch(() => undefined);
+    }
+
+    const base = {
+      prompt: original.prompt,
+      duration: original.duration,
+      title: original.title,
+      musicPrompt: original.musicPrompt,
+      style: original.visualStyle,
+      storyboard: original.customStoryboard ? original.storyboard.map(scene => scene.toObject()) : undefined,
+      motion: original.motion,
+      transition: original.transition,
+      outputPreset: original.outputPreset,
+      cutsPerBar: original.cutsPerBar ?? undefined,
+      imageProvider: original.imageProvider,
+      // Only the tunable settings; the provider's fixed ones (engine etc.) were recorded alongside.
+      // A different provider starts from its own defaults.
+      imageParams: 'imageProvider' in overrides ? undefined : pickControls(original.imageProvider, original.imageParams),
+      seed: original.seed,
+      seedMode: original.seedMode,
+      frameFailure: original.frameFailure,
+      negativePrompt: original.negativePrompt,
+      enhancers: original.enhancers,
+      captions,
+      captionFont: original.captionStyle?.font,
+      captionSize: original.captionStyle?.size,
+      captionPosition: original.captionStyle?.position,
+      captionOutline: original.captionStyle?.outline
+    };
+    // Fields the original doesn't have fall back to the usual defaults
+    const body = Object.fromEntries(
+      Object.entries({ ...base, ...overrides }).filter(([, value]) => value !== undefined && value !== null)
+    );
+
+    // The rendered video carries the exact soundtrack, so copy it out as if it had been uploaded.
+    // A generation that never finished has no video, so its remix makes new music.
+    const changesMusic = 'musicPrompt' in overrides || 'duration' in overrides;
+    if (reuseSoundtrack !== false && !changesMusic && original.videoUrl) {
+      const videoPath = path.join(__dirname, original.videoUrl);
+      if (!existsSync(videoPath)) {
+        return res.status(409).json({ error: 'The original video file is gone; remix with reuseSoundtrack: false' });
+      }
+      const audioPath = path.join(__dirname, 'temp', 'uploads', `upload_${randomUUID()}.mka`);
+      await extractSoundtrack(videoPath, audioPath);
+      audioFile = { path: audioPath, originalname: `Soundtrack of ${original._id}` };
+      // The reused soundtrack sets the length, which may be longer than generated music can be
+      delete body.duration;
+    } else if (await refuseIfUnhealthy(res, soundtrackDependencies(false))) {
+      return;
+    }
+
+    let params;
+    let rewritten;
+    try {
+      params = await parseGenerationRequest(body, { audioFile });
+    } catch (error) {
+      if (audioFile) {
+        await fs.unlink(audioFile.path).catch(console.error);
+      }
+      return sendValidationError(res, error);
+    }
+    try {
+      ({ params, rewritten } = await moderateGeneration(params));
+    } catch (error) {
+      if (audioFile) {
+        await fs.unlink(audioFile.path).catch(console.error);
+      }
+      return sendModerationError(res, error);
+    }
+
+    const jobId = randomUUID();
+    if (!(await chargeForGeneration(req, res, jobId, params))) {
+      if (audioFile) {
+        await fs.unlink(audioFile.path).catch(console.error);
+      }
+      return;
+    }
+
+    const job = createJob({ ...params, remixOf: original._id }, { userId: req.user.id, userRole: req.user.role, id: jobId });
+    runGeneration(job);
+
+    res.status(202).json({ requestId: job.id, status: job.status, duration: params.duration, remixOf: original._id, rewritten });
+  } catch (error) {
+    if (audioFile) {
+      await fs.unlink(audioFile.path).catch(console.error);
+    }
+    console.error('Remix failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Image providers with their tunable settings, for the advanced form
+app.get('/api/image-providers', (req, res) => {
+  res.json({ providers: listImageProviders() });
+});
+
+// The choices the generation form offers, so the client never keeps its own copy
+app.get('/api/render-options', (req, res) => {
+  res.json({
+    outputPresets: listOutputPresets(),
+    motions: MOTIONS,
+    transitions: TRANSITIONS,
+    cutsPerBar: [0, ...CUTS_PER_BAR_OPTIONS],
+    maxSeed: MAX_SEED
+  });
+});
+
+// An idea to draft a storyboard or plan from. The duration may be an uploaded soundtrack's.
+const IDEA_RULES = {
+  prompt: text({ required: true, maxLength: MAX_PROMPT_LENGTH }),
+  duration: number({ required: true, min: 1, max: MAX_UPLOAD_DURATION })
+};
+
+// Draft an editable storyboard from a single prompt
+app.post('/api/storyboard/draft', (req, res) => {
+  let prompt, duration;
+  try {
+    ({ prompt, duration } = validate(IDEA_RULES, req.body));
+  } catch (error) {
+    return sendValidationError(res, error);
+  }
+
+  res.json({ scenes: draftStoryboard(prompt, duration), shotTypes: Object.keys(SHOT_TYPES) });
+});
+
+// Expand a short idea into an editable plan (title, music prompt, visual style and
+// storyboard) with the configured LLM (LLM_PROVIDER: "gemini" with GEMINI_API_KEY, or "stub").
+// Rate limited and charged like a generation, since the model is paid for.
+app.post('/api/plan', limitGenerations, async (req, res) => {
+  let prompt, duration;
+  try {
+    ({ prompt, duration } = validate(IDEA_RULES, req.body));
+  } catch (error) {
+    return sendValidationError(res, error);
+  }
+
+  let client;
+  try {
+    client = getLlmClient();
+  } catch (error) {
+    return res.status(503).json({ error: error.message });
+  }
+  if (!client.isConfigured()) {
+    return res.status(503).json({ error: `Idea expansion is not available: LLM client "${client.name}" is not configured` });
+  }
+
+  // The idea goes to a paid model, so it is checked first; the plan that comes back is
+  // checked when it is sent for generation
+  try {
+    const rewrites = await moderate({ prompt }, { policy: moderationPolicy });
+    prompt = rewrites.prompt ?? prompt;
+  } catch (error) {
+    return sendModerationError(res, error);
+  }
+
+  // Refunded if no plan comes back
+  const chargeId = randomUUID();
+  const cost = { plans: 1 };
+  const credits = generationCost(cost, creditPolicy);
+  try {
+    const { charged, remaining } = await creditLedger.charge(req.user, chargeId, credits, cost);
+    if (!charged) {
+      return res.status(402).json({
+        error: `Expanding an idea needs ${credits} credits but only ${remaining} are left this month`,
+        required: credits,
+        remaining
+      });
+    }
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  try {
+    const plan = await writePlan(prompt, duration, { client });
+    res.json({ plan, shotTypes: Object.keys(SHOT_TYPES) });
+  } catch (error) {
+    console.error('Plan writing failed:', error);
+    await creditLedger.refund(req.user.id, chargeId).catch(console.error);
+    res.status(502).json({ error: `Failed to expand idea: ${error.message}` });
+  }
+});
+
+// What's left of the caller's monthly credits and generation rate limit
+app.get('/api/usage', async (req, res) => {
+  try {
+    res.json({
+      credits: await creditLedger.usage(req.user),
+      rateLimit: userRateLimit.peek(req.user.id)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A job the caller may follow: one they started, or any for an admin
+function findJob(req) {
+  const job = getJob(req.params.id);
+  return job && (isAdmin(req.user) || job.userId === req.user.id) ? job : null;
+}
+
+// Report the state of a single job
+app.get('/api/jobs/:id', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(serializeJob(job));
+});
+
+// Cancel a running job
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (!cancelJob(job)) {
+    return res.status(409).json({ error: `Job already ${job.status}` });
+  }
+  res.json(serializeJob(job));
+});
+
+// Stream a job's updates as Server-Sent Events until it finishes
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  const send = update => {
+    res.write(`event: progress\ndata: ${JSON.stringify(update)}\n\n`);
+    if (isJobFinished(update)) {
+      close();
+    }
+  };
+
+  // Always start with the current snapshot so reconnecting clients catch up
+  send(serializeJob(job));
+  if (isJobFinished(job)) {
+    return;
+  }
+
+  unsubscribe = subscribeToJob(job, send);
+  req.on('close', close);
+});
+
+// Get the caller's previous generations (everyone's for an admin), newest first, a page
+// at a time. See parseGalleryQuery for the search and filter parameters; `nextCursor` is
+// null on the last page.
+app.get('/api/videos', async (req, res) => {
+  let query;
+  try {
+    query = parseGalleryQuery(req.query);
+  } catch (error) {
+    return sendValidationError(res, error);
+  }
+
+  try {
+    // One extra tells us whether there is another page
+    const filter = isAdmin(req.user) ? query.filter : { $and: [query.filter, { user: req.user.id }] };
+    const videos = await Video.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(query.limit + 1);
+    const hasMore = videos.length > query.limit;
+    const page = videos.slice(0, query.limit);
+    res.json({
+      videos: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a project with no versions left, record and files, unless a render is about to
+// add one. Nothing in the gallery leads to it any more. Returns what was removed, as
+// `projects/<id>`, or null.
+async function removeVersionlessProject(project) {
+  if (project.versions.length || busyProjects.has(String(project._id))) {
+    return null;
+  }
+  await Project.deleteOne({ _id: project._id });
+  await fs.rm(getProjectDir(project), { recursive: true, force: true });
+  return `projects/${project._id}`;
+}
+
+// Remove a video's files and its place among its project's versions once its record is
+// gone, and the project itself when that was its last version. Returns the removed files:
+// names in videos/, and `projects/<id>` for a project.
+async function removeVideoAssets(video) {
+  const files = await deleteVideoFiles(path.join(__dirname, 'videos'), video);
+  if (video.project) {
+    const project = await Project.findByIdAndUpdate(video.project, { $pull: { versions: video._id } }, { new: true });
+    const removedProject = project && await removeVersionlessProject(project);
+    if (removedProject) {
+      files.push(removedProject);
+    }
+  }
+  return files;
+}
+
+// Delete a video's record along with its file and everything rendered from it
+app.delete('/api/videos/:id', async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: 'Video not found' });
+  }
+
+  try {
+    const video = await Video.findOneAndDelete({ _id: req.params.id, ...ownedBy(req.user) });
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    const files = await removeVideoAssets(video);
+    console.log(`Deleted video ${video._id}:`, files);
+    res.json({ id: video._id, deletedFiles: files });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pin or unpin a video. Only `pinned` can be changed.
+app.patch('/api/videos/:id', async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: 'Video not found' });
+  }
+  let pinned;
+  try {
+    ({ pinned } = validate({ pinned: boolean({ required: true, strict: true }) }, req.body, { allowUnknown: false }));
+  } catch (error) {
+    return sendValidationError(res, error);
+  }
+
+  try {
+    const video = await Video.findOneAndUpdate({ _id: req.params.id, ...ownedBy(req.user) }, { pinned }, { new: true });
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    res.json(video);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A project as the API returns it, with URLs for its stills and soundtrack and the
+// start time of every frame
+function serializeProject(project) {
+  const base = `/api/projects/${project._id}/files`;
+  const data = project.toObject();
+  return {
+    ...data,
+    audioUrl: `${base}/${project.audio.file}`,
+    frames: data.frames.map((frame, i) => ({ ...frame, url: `${base}/${frame.file}`, start: project.cutTimes[i] }))
+  };
+}
+
+// A project `user` may edit: their own, or any for an admin
+async function findProject(id, user) {
+  return mongoose.isValidObjectId(id) ? Project.findOne({ _id: id, ...ownedBy(user) }) : null;
+}
+
+// Takes the lock on a project `user` may edit, for an edit of it. Ownership comes first, so
+// nobody can hold up a project that isn't theirs. Resolves to { project }, read under the
+// lock, or to the { status, error } to answer with; the caller releases the lock.
+async function lockProject(id, user) {
+  if (!(await findProject(id, user))) {
+    return { status: 404, error: 'Project not found' };
+  }
+  if (busyProjects.has(id)) {
+    return { status: 409, error: PROJECT_BUSY_ERROR };
+  }
+  busyProjects.add(id);
+  try {
+    // Read again: an edit that held the lock a moment ago may have changed the project
+    const project = await findProject(id, user);
+    if (!project) {
+      busyProjects.delete(id);
+      return { status: 404, error: 'Project not found' };
+    }
+    return { project };
+  } catch (error) {
+    busyProjects.delete(id);
+    throw error;
+  }
+}
+
+app.get('/api/projects/:id', async (req, res) => {
+  try {
+    const project = await findProject(req.params.id, req.user);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json(serializeProject(project));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A still or the soundtrack of a project, for its owner (or an admin) only. Only files the
+// project currently lists are served.
+app.get('/api/projects/:id/files/:file', async (req, res) => {
+  try {
+    const project = await findProject(req.params.id, req.user);
+    const { file } = req.params;
+    const listed = project && (project.audio.file === file || project.frames.some(frame => frame.file === file));
+    if (!listed) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    res.sendFile(path.join(getProjectDir(project), file), error => {
+      if (error && !res.headersSent) {
+        res.status(error.statusCode || 500).json({ error: error.statusCode === 404 ? 'File not found' : error.message });
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Generate one frame again with a new prompt, negative prompt or seed; whatever is left
+// out stays as it was, except the seed, which is picked at random so the frame changes.
+// `prompt` is the full prompt sent to the image provider. `bypassCache` skips a cached
+// copy of the same frame.
+app.post('/api/projects/:id/frames/:index/regenerate', limitGenerations, async (req, res) => {
+  const { id } = req.params;
+  const index = Number(req.params.index);
+  let outputPath = null;
+  let locked = false;
+  try {
+    const { project, status, error } = await lockProject(id, req.user);
+    if (!project) {
+      return res.status(status).json({ error });
+    }
+    locked = true;
+    const frame = project.frames[index];
+    if (!Number.isInteger(index) || !frame) {
+      return res.status(404).json({ error: `Frame ${req.params.index} not found` });
+    }
+
+    let prompt, negativePrompt, seed, bypassCache;
+    try {
+      ({ prompt, negativePrompt, seed, bypassCache } = validate({
+        prompt: text({ required: true, maxLength: MAX_FRAME_PROMPT_LENGTH }),
+        negativePrompt: text({ maxLength: MAX_NEGATIVE_PROMPT_LENGTH }),
+        seed: seedRule,
+        bypassCache: boolean({ fallback: false })
+      }, {
+        ...req.body,
+        prompt: req.body.prompt ?? frame.prompt,
+        negativePrompt: req.body.negativePrompt ?? frame.negativePrompt
+      }, { allowUnknown: false }));
+    } catch (error) {
+      return sendValidationError(res, error);
+    }
+
+    try {
+      const rewrites = await moderate({ prompt, negativePrompt }, { policy: moderationPolicy });
+      prompt = rewrites.prompt ?? prompt;
+      negativePrompt = rewrites.negativePrompt ?? negativePrompt;
+    } catch (error) {
+      return sendModerationError(res, error);
+    }
+
+    const provider = getImageProvider(project.imageProvider);
+    if (!provider.isConfigured()) {
+      return res.status(503).json({ error: `Image provider "${provider.name}" is not configured` });
+    }
+
+    // One frame's worth of credits, refunded if the frame can't be made
+    const chargeId = randomUUID();
+    const cost = { frames: 1, musicSeconds: 0 };
+    const credits = generationCost(cost, creditPolicy);
+    const { charged, remaining } = await creditLedger.charge(req.user, chargeId, credits, cost);
+    if (!charged) {
+      return res.status(402).json({
+        error: `Regenerating a frame needs ${credits} credits but only ${remaining} are left this month`,
+        required: credits,
+        remaining
+      });
+    }
+
+    const file = `frame_${Date.now()}_${index + 1}.png`;
+    outputPath = path.join(getProjectDir(project), file);
+    try {
+      const cache = assetCache.session({ bypass: bypassCache });
+      const request = {
+        prompt,
+        negativePrompt,
+        seed,
+        params: project.imageParams || {},
+        width: project.imageSize.width,
+        height: project.imageSize.height,
+        index: index + 1,
+        totalFrames: project.frames.length,
+        outputPath
+      };
+      await withRetry(() => generateFrame(provider, request, cache), { retries: FRAME_RETRIES });
+    } catch (error) {
+      await creditLedger.refund(req.user.id, chargeId).catch(console.error);
+      return res.status(502).json({ error: `Failed to regenerate frame: ${error.message}` });
+    }
+
+    const previousFile = frame.file;
+    project.frames.set(index, { file, prompt, negativePrompt, seed });
+    await project.save();
+    outputPath = null;
+    await fs.unlink(path.join(getProjectDir(project), previousFile)).catch(console.error);
+
+    res.json(serializeProject(project));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    // A frame that didn't make it into the project is just clutter
+    if (outputPath) {
+      await fs.unlink(outputPath).catch(() => {});
+    }
+    if (locked) {
+      busyProjects.delete(id);
+    }
+  }
+});
+
+// Reorder and drop frames: `order` lists the indices of the frames to keep, in their
+// new order. See rearrangeFrames for how screen time moves with them.
+app.put('/api/projects/:id/frames', async (req, res) => {
+  const { id } = req.params;
+  let locked = false;
+  try {
+    const { project, status, error } = await lockProject(id, req.user);
+    if (!project) {
+      return res.status(status).json({ error });
+    }
+    locked = true;
+
+    let timeline;
+    try {
+      timeline = rearrangeFrames(project.frames.map(frame => frame.toObject()), project.cutTimes, project.duration, req.body.order);
+    } catch (error) {
+      return sendValidationError(res, fieldError('order', error.message));
+    }
+
+    project.frames = timeline.frames;
+    project.cutTimes = timeline.cutTimes;
+    await project.save();
+    await Promise.all(timeline.dropped.map(frame =>
+      fs.unlink(path.join(getProjectDir(project), frame.file)).catch(console.error)
+    ));
+
+    res.json(serializeProject(project));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    if (locked) {
+      busyProjects.delete(id);
+    }
+  }
+});
+
+// Replace the soundtrack with an uploaded `audio` file. The cuts are stretched or
+// squeezed to the new length and captions past its end are dropped.
+app.put('/api/projects/:id/soundtrack', acceptUploads, async (req, res) => {
+  const { id } = req.params;
+  const audioFile = req.files?.audio?.[0];
+  // Only the soundtrack is wanted here
+  const uploads = Object.values(req.files || {}).flat();
+  const discardUploads = () => Promise.all(uploads.map(file => fs.unlink(file.path).catch(() => {})));
+
+  if (!audioFile) {
+    await discardUploads();
+    return sendValidationError(res, fieldError('audio', 'is required: send the new soundtrack as an "audio" file'));
+  }
+
+  let locked = false;
+  try {
+    const { project, status, error } = await lockProject(id, req.user);
+    if (!project) {
+      return res.status(status).json({ error });
+    }
+    locked = true;
+
+    let media;
+    try {
+      media = await probeUpload(audioFile);
+    } catch (error) {
+      return sendValidationError(res, error);
+    }
+
+    const previousFile = project.audio.file;
+    const file = `soundtrack_${randomUUID().slice(0, 8)}${path.extname(audioFile.path)}`;
+    await fs.rename(audioFile.path, path.join(getProjectDir(project), file));
+
+    project.cutTimes = scaleCutTimes(project.cutTimes, project.duration, media.duration);
+    if (project.captions?.cues?.length) {
+      project.captions.cues = clipCues(project.toObject().captions.cues, media.duration);
+    }
+    project.duration = media.duration;
+    // The new track's tempo is unknown, and the stretched cuts no longer follow the old one
+    project.bpm = null;
+    project.audio = { file, source: { type: AUDIO_SOURCES.UPLOAD, name: audioFile.originalname } };
+    await project.save();
+    await fs.unlink(path.join(getProjectDir(project), previousFile)).catch(console.error);
+
+    res.json(serializeProject(project));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    await discardUploads();
+    if (locked) {
+      busyProjects.delete(id);
+    }
+  }
+});
+
+// Render the project as it is now into a new version of its video. Motion, transition
+// and output preset may be changed; everything else comes from the project.
+app.post('/api/projects/:id/render', limitGenerations, async (req, res) => {
+  const { id } = req.params;
+  let motion, transition, outputPreset;
+  try {
+    // Anything left out keeps the project's setting
+    ({ motion, transition, outputPreset } = validate({
+      motion: oneOf(MOTIONS),
+      transition: oneOf(TRANSITIONS),
+      outputPreset: oneOf(Object.keys(OUTPUT_PRESETS))
+    }, req.body, { allowUnknown: false }));
+  } catch (error) {
+    return sendValidationError(res, error);
+  }
+  if (await refuseIfUnhealthy(res, RENDER_DEPENDENCIES)) {
+    return;
+  }
+
+  try {
+    const project = await findProject(id, req.user);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    // Checked once ownership is known, so nobody learns whether someone else's project is busy
+    if (busyProjects.has(id)) {
+      return res.status(409).json({ error: PROJECT_BUSY_ERROR });
+    }
+
+    busyProjects.add(id);
+    const job = createJob({ projectId: project._id, motion, transition, outputPreset }, { userId: req.user.id, userRole: req.user.role });
+    runRender(job);
+
+    res.status(202).json({ requestId: job.id, status: job.status, projectId: project._id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a project's saved assets. Its videos stay in the gallery.
+app.delete('/api/projects/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const project = await findProject(id, req.user);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (busyProjects.has(id)) {
+      return res.status(409).json({ error: PROJECT_BUSY_ERROR });
+    }
+    await project.deleteOne();
+    await Video.updateMany({ project: project._id }, { $unset: { project: 1, version: 1 } });
+    await fs.rm(getProjectDir(project), { recursive: true, force: true });
+    res.json({ id: project._id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Handle errors
+app.use((err, req, res, next) => {
+  console.error(err.stack);
+  res.status(500).json({ error: 'Something broke!' });
+});
+
+// Storage housekeeping: temp files no job will clean up, then the retention period and
+// quota for videos/ and projects/. The oldest unpinned videos go first, record and files
+// together, and a project goes with its last version.
+const storagePolicy = getStoragePolicy();
+
+async function runJanitor() {
+  const tempDir = path.join(__dirname, 'temp');
+  const videosDir = path.join(__dirname, 'videos');
+
+  const staleTemp = await removeStaleTempFiles(tempDir, {
+    maxAgeMs: storagePolicy.tempMaxAgeMs,
+    isInUse: name => {
+      const job = getJob(name);
+      return Boolean(job) && !isJobFinished(job);
+    }
+  });
+  if (staleTemp.length) {
+    console.log('Janitor removed stale temp files:', staleTemp);
+  }
+
+  const expire = async video => {
+    await Video.deleteOne({ _id: video._id });
+    return removeVideoAssets(video);
+  };
+
+  if (storagePolicy.retentionMs) {
+    const cutoff = new Date(Date.now() - storagePolicy.retentionMs);
+    const expired = await Video.find({ pinned: { $ne: true }, createdAt: { $lt: cutoff } });
+    for (const video of expired) {
+      await expire(video);
+    }
+    if (expired.length) {
+      console.log(`Janitor expired ${expired.length} video(s) older than ${cutoff.toISOString()}`);
+    }
+  }
+
+  // Projects left without versions, such as those whose videos were expired before
+  // projects went with them
+  const removedProjects = [];
+  for (const project of await Project.find({ versions: { $size: 0 } })) {
+    const removed = await removeVersionlessProject(project);
+    if (removed) {
+      removedProjects.push(removed);
+    }
+  }
+  if (removedProjects.length) {
+    console.log('Janitor removed projects without versions:', removedProjects);
+  }
+
+  const videoUrls = (await Video.find({ videoUrl: { $exists: true, $ne: null } }).select('videoUrl'))
+    .map(video => video.videoUrl);
+  const orphans = await removeOrphanVideoFiles(videosDir, videoUrls, { maxAgeMs: storagePolicy.tempMaxAgeMs });
+  if (orphans.length) {
+    console.log('Janitor removed video files without a record:', orphans);
+  }
+
+  if (storagePolicy.maxVideoBytes) {
+    // Keyed like removeVideoAssets' results: names in videos/, `projects/<id>` for projects
+    const sizes = new Map([
+      ...await listFileSizes(videosDir),
+      ...[...await listFileSizes(path.join(__dirname, 'projects'))].map(([name, size]) => [`projects/${name}`, size])
+    ]);
+    let totalBytes = [...sizes.values()].reduce((sum, size) => sum + size, 0);
+    if (totalBytes > storagePolicy.maxVideoBytes) {
+      const candidates = await Video.find({ pinned: { $ne: true }, videoUrl: { $exists: true, $ne: null } })
+        .sort({ createdAt: 1, _id: 1 });
+      let expired = 0;
+      for (const video of candidates) {
+        if (totalBytes <= storagePolicy.maxVideoBytes) {
+          break;
+        }
+        const files = await expire(video);
+        totalBytes -= files.reduce((sum, file) => sum + (sizes.get(file) || 0), 0);
+        expired += 1;
+      }
+      if (totalBytes > storagePolicy.maxVideoBytes) {
+        console.error(`Janitor: videos/ and projects/ are still over their quota at ${totalBytes} bytes; the rest is pinned or still rendering`);
+      }
+      if (expired) {
+        console.log(`Janitor expired ${expired} video(s) for the storage quota`);
+      }
+    }
+  }
+}
+
+// The janitor's first run would only wait in mongoose's buffer (and time out) before then
+mongoConnected.then(() => scheduleJanitor(runJanitor, storagePolicy.intervalMs));
+
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
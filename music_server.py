@@ -56,20 +56,30 @@ def initialize_model():
 # Initialize model at startup
 initialize_model()
 
+# Shortest and longest music we make, in seconds. The Node server reads the same
+# MAX_DURATION setting to cap the videos it accepts.
+MIN_DURATION = 5
+MAX_DURATION = int(os.environ.get("MAX_DURATION") or 30)
+
 class MusicRequest(BaseModel):
     prompt: str
     duration: int
+    # Prompt is already written for music (genre, mood); use it as-is
+    raw: bool = False
 
 @app.post("/generate-music")
 async def generate_music(request: MusicRequest):
     global model
     try:
         # Validate and limit duration
-        duration = min(max(request.duration, 5), 30)
+        duration = min(max(request.duration, MIN_DURATION), MAX_DURATION)
         print(f"Generating {duration}s music for: {request.prompt}")
         
         # Optimize prompt
-        short_prompt = f"background music: {request.prompt[:100]}, instrumental"
+        if request.raw:
+            short_prompt = request.prompt[:300]
+        else:
+            short_prompt = f"background music: {request.prompt[:100]}, instrumental"
         
         # Update duration
         model.set_generation_params(duration=duration)
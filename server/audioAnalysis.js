@@ -0,0 +1,237 @@
+import ffmpeg from 'fluent-ffmpeg';
+
+// Analysis runs on a low-rate mono mixdown; plenty for onsets and tempo
+const SAMPLE_RATE = 11025;
+const WINDOW_SIZE = 1024;
+const HOP_SIZE = 256;
+const ENVELOPE_RATE = SAMPLE_RATE / HOP_SIZE;
+
+const MIN_BPM = 60;
+const MAX_BPM = 180;
+// Tempo prior: autocorrelation peaks near this tempo win octave ambiguities
+export const PREFERRED_BPM = 120;
+
+export const BEATS_PER_BAR = 4;
+export const CUTS_PER_BAR_OPTIONS = [0.25, 0.5, 1, 2, 4];
+export const DEFAULT_CUTS_PER_BAR = 1;
+
+// Below this the onset envelope has no clear pulse (noise, drones, speech)
+const MIN_PERIODICITY = 3;
+
+// Smallest rise in log energy that counts as an attack
+const FLUX_FLOOR = 0.02;
+
+// Scenes shorter than this are merged into their neighbour
+export const MIN_SCENE_SECONDS = 0.75;
+
+// Decode any audio file to mono float samples through ffmpeg
+function decodePcm(audioPath, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Audio analysis cancelled'));
+      return;
+    }
+
+    const chunks = [];
+    const command = ffmpeg(audioPath)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(SAMPLE_RATE)
+      .format('f32le')
+      .on('error', err => {
+        signal?.removeEventListener('abort', kill);
+        reject(signal?.aborted ? new Error('Audio analysis cancelled') : new Error(`Failed to decode audio: ${err.message}`));
+      });
+
+    const kill = () => command.kill('SIGKILL');
+    signal?.addEventListener('abort', kill, { once: true });
+
+    const stream = command.pipe();
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => {
+      signal?.removeEventListener('abort', kill);
+      // Copy into a fresh buffer so the Float32Array view is properly aligned
+      const bytes = new Uint8Array(Buffer.concat(chunks));
+      resolve(new Float32Array(bytes.buffer, 0, Math.floor(bytes.length / 4)));
+    });
+  });
+}
+
+// Onset strength per hop: rise in log energy of the full signal (kicks, bass) plus
+// of the pre-emphasised signal (hats, snares), with the local average removed so
+// only sharp attacks stand out
+function onsetEnvelope(samples) {
+  const hops = Math.max(Math.floor((samples.length - WINDOW_SIZE) / HOP_SIZE), 0);
+  const fullEnergy = new Float32Array(hops);
+  const highEnergy = new Float32Array(hops);
+
+  for (let h = 0; h < hops; h++) {
+    const start = h * HOP_SIZE;
+    let full = 0;
+    let high = 0;
+    for (let i = start + 1; i < start + WINDOW_SIZE; i++) {
+      const emphasised = samples[i] - 0.97 * samples[i - 1];
+      full += samples[i] * samples[i];
+      high += emphasised * emphasised;
+    }
+    fullEnergy[h] = Math.log1p(1000 * full / WINDOW_SIZE);
+    highEnergy[h] = Math.log1p(1000 * high / WINDOW_SIZE);
+  }
+
+  // Rises below the floor are window ripple on steady sounds, not attacks
+  const flux = new Float32Array(hops);
+  for (let h = 1; h < hops; h++) {
+    flux[h] = Math.max(fullEnergy[h] - fullEnergy[h - 1] - FLUX_FLOOR, 0) +
+      Math.max(highEnergy[h] - highEnergy[h - 1] - FLUX_FLOOR, 0);
+  }
+
+  const radius = Math.round(ENVELOPE_RATE / 4);
+  const envelope = new Float32Array(hops);
+  for (let h = 0; h < hops; h++) {
+    let sum = 0;
+    let count = 0;
+    for (let j = Math.max(h - radius, 0); j <= Math.min(h + radius, hops - 1); j++) {
+      sum += flux[j];
+      count++;
+    }
+    envelope[h] = Math.max(flux[h] - sum / count, 0);
+  }
+
+  return envelope;
+}
+
+// Beat period (in envelope frames) from a tempo-weighted autocorrelation.
+// `periodicity` is how far the winning lag stands out from the average lag.
+function estimatePeriod(envelope) {
+  const minLag = Math.floor(ENVELOPE_RATE * 60 / MAX_BPM);
+  const maxLag = Math.ceil(ENVELOPE_RATE * 60 / MIN_BPM);
+  if (envelope.length < maxLag * 2) {
+    return null;
+  }
+
+  let energy = 0;
+  for (const value of envelope) {
+    energy += value * value;
+  }
+  if (energy === 0) {
+    return null;
+  }
+
+  const scores = new Float64Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = lag; i < envelope.length; i++) {
+      sum += envelope[i] * envelope[i - lag];
+    }
+    const bpm = 60 * ENVELOPE_RATE / lag;
+    const prior = Math.exp(-0.5 * Math.log2(bpm / PREFERRED_BPM) ** 2);
+    scores[lag] = (sum / energy) * prior;
+  }
+
+  let best = minLag;
+  let mean = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    mean += scores[lag] / (maxLag - minLag + 1);
+    if (scores[lag] > scores[best]) {
+      best = lag;
+    }
+  }
+
+  // Parabolic interpolation around the peak for a sub-frame period
+  const [a, b, c] = [scores[best - 1], scores[best], scores[best + 1]];
+  const denominator = a - 2 * b + c;
+  const shift = denominator === 0 ? 0 : 0.5 * (a - c) / denominator;
+  return { period: best + Math.max(Math.min(shift, 0.5), -0.5), periodicity: b / mean };
+}
+
+// Lay a beat grid at the best-fitting phase, then let each beat snap to the
+// strongest onset nearby so slight tempo drift doesn't accumulate
+function trackBeats(envelope, period) {
+  let bestPhase = 0;
+  let bestScore = -1;
+  for (let phase = 0; phase < period; phase++) {
+    let score = 0;
+    for (let t = phase; t < envelope.length; t += period) {
+      score += envelope[Math.round(t)] || 0;
+    }
+    if (score > bestScore) {
+      bestScore = score;
+      bestPhase = phase;
+    }
+  }
+
+  const tolerance = Math.max(Math.round(period * 0.1), 1);
+  const beats = [];
+  for (let t = bestPhase; t < envelope.length; t += period) {
+    const center = Math.round(t);
+    let peak = center;
+    for (let j = center - tolerance; j <= center + tolerance; j++) {
+      if ((envelope[j] || 0) > (envelope[peak] || 0)) {
+        peak = j;
+      }
+    }
+    beats.push(Math.max(peak, 0));
+  }
+  return beats;
+}
+
+// Which of the beats in a bar is the downbeat: the offset with the most onset energy
+function findDownbeatOffset(envelope, beats) {
+  let bestOffset = 0;
+  let bestScore = -1;
+  for (let offset = 0; offset < BEATS_PER_BAR; offset++) {
+    let score = 0;
+    for (let i = offset; i < beats.length; i += BEATS_PER_BAR) {
+      score += envelope[beats[i]] || 0;
+    }
+    if (score > bestScore) {
+      bestScore = score;
+      bestOffset = offset;
+    }
+  }
+  return bestOffset;
+}
+
+// Tempo, beat times and downbeat for a soundtrack. `bpm` is null when no steady pulse was found.
+export async function analyzeAudio(audioPath, { signal } = {}) {
+  const samples = await decodePcm(audioPath, { signal });
+  const duration = samples.length / SAMPLE_RATE;
+  const envelope = onsetEnvelope(samples);
+  const estimate = estimatePeriod(envelope);
+
+  if (!estimate || estimate.periodicity < MIN_PERIODICITY) {
+    return { duration, bpm: null, beats: [], downbeatOffset: 0 };
+  }
+
+  const beatFrames = trackBeats(envelope, estimate.period);
+  // Energy jumps most once the attack is well inside the window, about three quarters in
+  const toSeconds = frame => (frame * HOP_SIZE + WINDOW_SIZE * 0.75) / SAMPLE_RATE;
+
+  return {
+    duration,
+    bpm: Math.round(600 * ENVELOPE_RATE / estimate.period) / 10,
+    beats: beatFrames.map(toSeconds),
+    downbeatOffset: findDownbeatOffset(envelope, beatFrames)
+  };
+}
+
+// Scene start times (the first is always 0) cutting every `BEATS_PER_BAR / cutsPerBar`
+// beats, counted from the first downbeat
+export function planBeatCuts({ beats, downbeatOffset, duration }, cutsPerBar = DEFAULT_CUTS_PER_BAR) {
+  const beatsPerCut = Math.max(Math.round(BEATS_PER_BAR / cutsPerBar), 1);
+  const cuts = [0];
+
+  for (let i = downbeatOffset; i < beats.length; i += beatsPerCut) {
+    const time = beats[i];
+    if (time - cuts[cuts.length - 1] >= MIN_SCENE_SECONDS && duration - time >= MIN_SCENE_SECONDS) {
+      cuts.push(Math.round(time * 1000) / 1000);
+    }
+  }
+
+  return cuts;
+}
+
+// Fallback when there is no usable beat: `count` evenly spaced scenes
+export function planEvenCuts(duration, count) {
+  return Array.from({ length: count }, (_, i) => Math.round((i * duration / count) * 1000) / 1000);
+}
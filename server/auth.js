@@ -0,0 +1,138 @@
+import { randomBytes, scrypt, createHmac, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { text, validate } from './validation.js';
+
+// Accounts and sessions. Passwords are stored as salted scrypt hashes; a session is a
+// token signed with the server's secret, so checking one needs no lookup.
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+
+export const USER_ROLES = ['user', 'admin'];
+export const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+export const SESSION_COOKIE = 'session';
+const DEFAULT_SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const key = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('base64url')}$${key.toString('base64url')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64url');
+  const key = await scryptAsync(password, Buffer.from(salt, 'base64url'), expected.length);
+  return timingSafeEqual(key, expected);
+}
+
+// Email and password from a registration or login body. Throws a ValidationError.
+// Passwords aren't trimmed: the spaces are part of them.
+export function parseCredentials(body, { checkStrength = false } = {}) {
+  const { email, password } = validate({
+    email: text({ required: true, maxLength: 254, pattern: EMAIL_PATTERN, patternMessage: 'must be a valid email address' }),
+    password: value => {
+      if (typeof value !== 'string' || !value) {
+        throw new Error('is required');
+      }
+      if (value.length > MAX_PASSWORD_LENGTH) {
+        throw new Error(`must be at most ${MAX_PASSWORD_LENGTH} characters`);
+      }
+      if (checkStrength && value.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+      return value;
+    }
+  }, body || {});
+  return { email: email.toLowerCase(), password };
+}
+
+// Cookies in a Cookie header. A value that isn't valid percent-encoding is kept as it
+// came: someone else's cookie on our domain mustn't break every request.
+function parseCookies(header = '') {
+  const decode = value => {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      return value;
+    }
+  };
+  return Object.fromEntries(header.split(';')
+    .map(pair => pair.trim().split('='))
+    .filter(([name, value]) => name && value !== undefined)
+    .map(([name, ...value]) => [name, decode(value.join('='))]));
+}
+
+// Sessions signed with `secret`. Tokens travel in an HttpOnly cookie for the web app,
+// or as `Authorization: Bearer <token>` for scripts.
+export function createSessions(secret, { ttlMs = DEFAULT_SESSION_TTL_MS } = {}) {
+  const sign = payload => createHmac('sha256', secret).update(payload).digest('base64url');
+
+  function issue(user) {
+    const payload = Buffer.from(JSON.stringify({
+      sub: String(user._id),
+      email: user.email,
+      role: user.role,
+      exp: Date.now() + ttlMs
+    })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+  }
+
+  // The session in a token, or null when it is forged, malformed or expired
+  function verify(token) {
+    const [payload, signature] = String(token).split('.');
+    if (!payload || !signature) {
+      return null;
+    }
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+      return null;
+    }
+    try {
+      const { sub, email, role, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      return exp > Date.now() ? { id: sub, email, role } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function setCookie(res, token) {
+    res.cookie(SESSION_COOKIE, token, { httpOnly: true, sameSite: 'lax', maxAge: ttlMs, path: '/' });
+  }
+
+  function clearCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax', path: '/' });
+  }
+
+  // Sets `req.user` ({ id, email, role }) when the request carries a valid session
+  function authenticate(req, res, next) {
+    const bearer = req.get('authorization')?.match(/^Bearer (.+)$/i)?.[1];
+    const token = bearer || parseCookies(req.get('cookie'))[SESSION_COOKIE];
+    req.user = token ? verify(token) : null;
+    next();
+  }
+
+  function requireUser(req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Log in to continue' });
+    }
+    next();
+  }
+
+  return { issue, verify, setCookie, clearCookie, authenticate, requireUser };
+}
+
+export function isAdmin(user) {
+  return user?.role === 'admin';
+}
+
+// Query conditions limiting documents with a `user` field to those `user` may see
+export function ownedBy(user) {
+  return isAdmin(user) ? {} : { user: user.id };
+}
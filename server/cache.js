@@ -0,0 +1,170 @@
+import * as fs from 'fs/promises';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+
+// Content-addressed cache for generated assets (frame PNGs, music WAVs). Entries are
+// keyed by a hash of what was asked for, so an identical request is answered from disk
+// instead of paying for another API call. Least recently used entries are evicted once
+// the cache grows past `maxBytes`.
+
+export const DEFAULT_CACHE_MAX_BYTES = 2 * 1024 * 1024 * 1024;
+
+// Same request, same key: object keys sorted, empty values dropped, whitespace in text collapsed
+function normalize(value) {
+  if (typeof value === 'string') {
+    return value.trim().replace(/\s+/g, ' ');
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .filter(key => value[key] !== undefined && value[key] !== null && value[key] !== '')
+        .map(key => [key, normalize(value[key])])
+    );
+  }
+  return value;
+}
+
+export function cacheKey(namespace, params) {
+  return createHash('sha256').update(JSON.stringify([namespace, normalize(params)])).digest('hex');
+}
+
+export function createAssetCache(cacheDir, { maxBytes = DEFAULT_CACHE_MAX_BYTES } = {}) {
+  // key -> { file, size }, least recently used first
+  const entries = new Map();
+  let totalBytes = 0;
+  let loaded = null;
+
+  // Entries left by earlier runs, oldest first by their last use (the file mtime)
+  async function load() {
+    const found = [];
+    for (const namespace of await fs.readdir(cacheDir).catch(() => [])) {
+      const dir = path.join(cacheDir, namespace);
+      for (const name of await fs.readdir(dir).catch(() => [])) {
+        const file = path.join(dir, name);
+        // Half-written entries from a run that died mid-copy
+        if (name.endsWith('.tmp')) {
+          await fs.unlink(file).catch(() => {});
+          continue;
+        }
+        const stats = await fs.stat(file).catch(() => null);
+        if (stats?.isFile()) {
+          found.push({ key: path.parse(name).name, file, size: stats.size, usedAt: stats.mtimeMs });
+        }
+      }
+    }
+    found.sort((a, b) => a.usedAt - b.usedAt);
+    for (const { key, file, size } of found) {
+      entries.set(key, { file, size });
+      totalBytes += size;
+    }
+  }
+
+  function ready() {
+    loaded ||= load();
+    return loaded;
+  }
+
+  async function lookup(key) {
+    await ready();
+    const entry = entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    // Move to the most recently used end, here and on disk for the next restart
+    entries.delete(key);
+    entries.set(key, entry);
+    const now = new Date();
+    await fs.utimes(entry.file, now, now).catch(() => {});
+    return entry;
+  }
+
+  async function store(key, namespace, sourcePath) {
+    await ready();
+    const dir = path.join(cacheDir, namespace);
+    const file = path.join(dir, `${key}${path.extname(sourcePath)}`);
+    const tempFile = `${file}.${randomUUID().slice(0, 8)}.tmp`;
+    await fs.mkdir(dir, { recursive: true });
+    await fs.copyFile(sourcePath, tempFile);
+    await fs.rename(tempFile, file);
+
+    const { size } = await fs.stat(file);
+    const previous = entries.get(key);
+    if (previous) {
+      totalBytes -= previous.size;
+      entries.delete(key);
+    }
+    entries.set(key, { file, size });
+    totalBytes += size;
+    await evict(key);
+  }
+
+  // Drop least recently used entries until the cache fits, never the one just stored
+  async function evict(keep) {
+    for (const [key, entry] of entries) {
+      if (totalBytes <= maxBytes) {
+        break;
+      }
+      if (key === keep) {
+        continue;
+      }
+      entries.delete(key);
+      totalBytes -= entry.size;
+      await fs.unlink(entry.file).catch(() => {});
+    }
+  }
+
+  function currentUsage() {
+    return { entries: entries.size, sizeBytes: totalBytes, maxBytes };
+  }
+
+  async function usage() {
+    await ready();
+    return currentUsage();
+  }
+
+  // One job's view of the cache, counting its own hits and misses. With `bypass` every
+  // lookup misses, and the fresh results replace what was cached.
+  // `onUpdate` receives the stats after every lookup.
+  function session({ bypass = false, onUpdate = () => {} } = {}) {
+    const stats = { hits: 0, misses: 0, bypass };
+
+    const report = () => ({ ...stats, ...currentUsage() });
+
+    // The cached copy of `params` in `namespace`, copied to `outputPath`; on a miss
+    // `produce()` makes the asset and resolves to its path, which is cached and returned
+    async function fetch(namespace, params, outputPath, produce) {
+      const key = cacheKey(namespace, params);
+      const entry = bypass ? null : await lookup(key);
+
+      if (entry) {
+        try {
+          await fs.copyFile(entry.file, outputPath);
+          stats.hits += 1;
+          onUpdate(report());
+          return outputPath;
+        } catch (error) {
+          // Deleted behind our back; forget it and make the asset again
+          entries.delete(key);
+          totalBytes -= entry.size;
+        }
+      }
+
+      const producedPath = await produce();
+      stats.misses += 1;
+      // Caching is an optimisation, so a full disk here mustn't fail the job
+      await store(key, namespace, producedPath).catch(error => {
+        console.error(`Failed to cache ${namespace} asset:`, error.message);
+      });
+      onUpdate(report());
+      return producedPath;
+    }
+
+    return { fetch, report };
+  }
+
+  return { session, usage };
+}
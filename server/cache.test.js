@@ -0,0 +1,129 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { cacheKey, createAssetCache } from './cache.js';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'asset-cache-'));
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+// A produce() for fetch that writes `content` to a new file and counts its calls
+function producer(content) {
+  const produce = async () => {
+    produce.calls += 1;
+    const file = path.join(dir, `produced_${produce.calls}_${content.length}.png`);
+    await fs.writeFile(file, content);
+    return file;
+  };
+  produce.calls = 0;
+  return produce;
+}
+
+test('the same request gets the same key however it is written', () => {
+  assert.equal(
+    cacheKey('frame', { prompt: ' a  fox ', seed: 1, negativePrompt: '', style: null }),
+    cacheKey('frame', { seed: 1, prompt: 'a fox' })
+  );
+  assert.notEqual(cacheKey('frame', { prompt: 'a fox' }), cacheKey('music', { prompt: 'a fox' }));
+  assert.notEqual(cacheKey('frame', { prompt: 'a fox', seed: 1 }), cacheKey('frame', { prompt: 'a fox', seed: 2 }));
+});
+
+test('a repeated request is answered from the cache', async () => {
+  const cache = createAssetCache(path.join(dir, 'cache'));
+  const produce = producer('frame');
+
+  const first = cache.session();
+  const producedPath = await first.fetch('frame', { prompt: 'a fox' }, path.join(dir, 'one.png'), produce);
+  assert.equal(await fs.readFile(producedPath, 'utf8'), 'frame');
+  assert.equal(first.report().misses, 1);
+
+  const second = cache.session();
+  const outputPath = path.join(dir, 'two.png');
+  assert.equal(await second.fetch('frame', { prompt: 'a fox' }, outputPath, produce), outputPath);
+  assert.equal(await fs.readFile(outputPath, 'utf8'), 'frame');
+  assert.equal(produce.calls, 1);
+  const { hits, misses, entries, sizeBytes } = second.report();
+  assert.deepEqual({ hits, misses, entries, sizeBytes }, { hits: 1, misses: 0, entries: 1, sizeBytes: 5 });
+});
+
+test('a bypassing session makes the asset again and replaces the cached copy', async () => {
+  const cache = createAssetCache(path.join(dir, 'cache'));
+  await cache.session().fetch('frame', { prompt: 'a fox' }, path.join(dir, 'one.png'), producer('old'));
+
+  const fresh = producer('newer');
+  await cache.session({ bypass: true }).fetch('frame', { prompt: 'a fox' }, path.join(dir, 'two.png'), fresh);
+  const outputPath = path.join(dir, 'three.png');
+  await cache.session().fetch('frame', { prompt: 'a fox' }, outputPath, producer('unused'));
+
+  assert.equal(fresh.calls, 1);
+  assert.equal(await fs.readFile(outputPath, 'utf8'), 'newer');
+  assert.equal((await cache.usage()).sizeBytes, 5);
+});
+
+test('the least recently used entries are evicted past the size limit', async () => {
+  const cache = createAssetCache(path.join(dir, 'cache'), { maxBytes: 10 });
+  const session = cache.session();
+  const fetch = (prompt, produce = producer('1234')) =>
+    session.fetch('frame', { prompt }, path.join(dir, `${prompt}.png`), produce);
+
+  await fetch('a');
+  await fetch('b');
+  // Using a makes b the least recently used
+  await fetch('a');
+  await fetch('c');
+
+  assert.deepEqual(await cache.usage(), { entries: 2, sizeBytes: 8, maxBytes: 10 });
+  const again = producer('1234');
+  await fetch('a', again);
+  await fetch('c', again);
+  assert.equal(again.calls, 0);
+  await fetch('b', again);
+  assert.equal(again.calls, 1);
+});
+
+test('an entry bigger than the limit is still kept until the next one', async () => {
+  const cache = createAssetCache(path.join(dir, 'cache'), { maxBytes: 4 });
+  const session = cache.session();
+
+  await session.fetch('frame', { prompt: 'big' }, path.join(dir, 'big.png'), producer('123456'));
+
+  assert.equal((await cache.usage()).entries, 1);
+});
+
+test('entries left by an earlier run are found, and half-written ones removed', async () => {
+  const cacheDir = path.join(dir, 'cache');
+  await createAssetCache(cacheDir).session().fetch('music', { prompt: 'waves' }, path.join(dir, 'one.wav'), producer('waves'));
+  const leftover = path.join(cacheDir, 'music', 'abc.wav.1234.tmp');
+  await fs.writeFile(leftover, 'partial');
+
+  const restarted = createAssetCache(cacheDir);
+
+  const { entries, sizeBytes } = await restarted.usage();
+  assert.deepEqual({ entries, sizeBytes }, { entries: 1, sizeBytes: 5 });
+  await assert.rejects(fs.access(leftover));
+  const produce = producer('unused');
+  await restarted.session().fetch('music', { prompt: 'waves' }, path.join(dir, 'two.wav'), produce);
+  assert.equal(produce.calls, 0);
+});
+
+test('an entry deleted behind the cache is made again', async () => {
+  const cacheDir = path.join(dir, 'cache');
+  const cache = createAssetCache(cacheDir);
+  await cache.session().fetch('frame', { prompt: 'a fox' }, path.join(dir, 'one.png'), producer('frame'));
+  await fs.rm(path.join(cacheDir, 'frame'), { recursive: true });
+
+  const produce = producer('again');
+  const session = cache.session();
+  await session.fetch('frame', { prompt: 'a fox' }, path.join(dir, 'two.png'), produce);
+
+  assert.equal(produce.calls, 1);
+  assert.equal(session.report().misses, 1);
+});
@@ -0,0 +1,174 @@
+// Time-synced lyrics and captions: parsing LRC, SRT, WebVTT or plain timestamped lines
+// into cues ({ start, end, text } in seconds), and writing them back out as WebVTT
+// (soft subtitle track and sidecar) and ASS (styled burn-in)
+
+import { number, oneOf } from './validation.js';
+
+export const CAPTION_FONTS = ['Sans', 'Serif', 'Monospace'];
+export const CAPTION_POSITIONS = ['bottom', 'middle', 'top'];
+export const MIN_CAPTION_SIZE = 24;
+export const MAX_CAPTION_SIZE = 120;
+export const MAX_CAPTION_OUTLINE = 10;
+
+export const DEFAULT_CAPTION_STYLE = {
+  font: 'Sans',
+  size: 56,
+  position: 'bottom',
+  outline: 3
+};
+
+// How long a line from a format without end times stays up when nothing follows it
+const MAX_LINE_SECONDS = 6;
+
+// ASS numpad alignment for each position (bottom, middle or top centre)
+const ASS_ALIGNMENT = { bottom: 2, middle: 5, top: 8 };
+
+// `[hh:]mm:ss[.fff]` (SRT uses a comma before the fraction) to seconds
+function parseTimestamp(value) {
+  const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/);
+  if (!match) {
+    return null;
+  }
+  const [, hours = '0', minutes, seconds, fraction = '0'] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(`0.${fraction}`);
+}
+
+// Plain text of a cue: markup tags dropped, blank lines removed
+function cleanCueText(lines) {
+  return lines
+    .map(line => line.replace(/<[^>]+>/g, '').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+// SRT and WebVTT: blocks separated by blank lines, each with a `start --> end` line
+function parseBlocks(text) {
+  const cues = [];
+  for (const block of text.split(/\n\s*\n/)) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) {
+      continue;
+    }
+    // WebVTT puts cue settings after the end time
+    const [from, to] = lines[timingIndex].split('-->');
+    const start = parseTimestamp(from);
+    const end = parseTimestamp(to.trim().split(/\s+/)[0]);
+    if (start === null || end === null) {
+      throw new Error(`Bad timing line "${lines[timingIndex].trim()}"`);
+    }
+    cues.push({ start, end, text: cleanCueText(lines.slice(timingIndex + 1)) });
+  }
+  return cues;
+}
+
+// LRC (`[mm:ss.xx]line`, several tags allowed per line) and plain `mm:ss line` text.
+// Lines only have start times, so each one lasts until the next.
+function parseTimedLines(text) {
+  const starts = [];
+  for (const line of text.split('\n')) {
+    const lrc = line.match(/^\s*((?:\[\d+:\d+(?:[.:]\d+)?\])+)(.*)$/);
+    if (lrc) {
+      // Some LRC files write the hundredths after a colon: [mm:ss:xx]
+      const tags = lrc[1].match(/\d+:\d+(?:[.:]\d+)?/g).map(tag => tag.replace(/^(\d+:\d+):/, '$1.'));
+      tags.forEach(tag => starts.push({ start: parseTimestamp(tag), text: lrc[2].trim() }));
+      continue;
+    }
+    const plain = line.match(/^\s*(\d+:\d{2}(?::\d{2})?(?:[.,]\d+)?)\s*[-–|]?\s+(.*)$/);
+    if (plain) {
+      starts.push({ start: parseTimestamp(plain[1]), text: plain[2].trim() });
+    }
+    // Anything else (LRC [ar:...] metadata, blank lines) is ignored
+  }
+
+  starts.sort((a, b) => a.start - b.start);
+  // An empty LRC line clears the previous one, so it only serves as an end time
+  return starts
+    .map((line, i) => ({
+      start: line.start,
+      end: Math.min(starts[i + 1]?.start ?? Infinity, line.start + MAX_LINE_SECONDS),
+      text: line.text
+    }))
+    .filter(cue => cue.text);
+}
+
+// Cues from caption text in any of the supported formats, limited to `duration` seconds
+export function parseCaptions(input, duration = Infinity) {
+  const text = String(input).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+  const cues = text.includes('-->') ? parseBlocks(text) : parseTimedLines(text);
+  const kept = clipCues(cues.filter(cue => cue.text), duration);
+
+  if (!kept.length) {
+    throw new Error('No timed lines found. Use LRC, SRT, WebVTT or lines starting with mm:ss');
+  }
+  return kept;
+}
+
+// Cues that fall within the first `duration` seconds, in order, cut off at `duration`
+export function clipCues(cues, duration) {
+  return cues
+    .filter(cue => cue.end > cue.start && cue.start < duration)
+    .map(cue => ({ ...cue, end: Math.min(cue.end, duration) }))
+    .sort((a, b) => a.start - b.start);
+}
+
+// Rules for the caption style fields of a generation request (see validation.js),
+// with the defaults for anything left out
+export const CAPTION_STYLE_RULES = {
+  captionFont: oneOf(CAPTION_FONTS, { fallback: DEFAULT_CAPTION_STYLE.font }),
+  captionSize: number({ min: MIN_CAPTION_SIZE, max: MAX_CAPTION_SIZE, fallback: DEFAULT_CAPTION_STYLE.size }),
+  captionPosition: oneOf(CAPTION_POSITIONS, { fallback: DEFAULT_CAPTION_STYLE.position }),
+  captionOutline: number({ min: 0, max: MAX_CAPTION_OUTLINE, fallback: DEFAULT_CAPTION_STYLE.outline })
+};
+
+function formatVttTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+function formatAssTime(seconds) {
+  const cs = Math.round(seconds * 100);
+  const pad = value => String(value).padStart(2, '0');
+  return `${Math.floor(cs / 360000)}:${pad(Math.floor(cs / 6000) % 60)}:${pad(Math.floor(cs / 100) % 60)}.${pad(cs % 100)}`;
+}
+
+export function toWebVtt(cues) {
+  const body = cues.map(cue => `${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}\n${cue.text}`);
+  return `WEBVTT\n\n${body.join('\n\n')}\n`;
+}
+
+// ASS script for burning the cues into a `width`x`height` video. Sizes in the style
+// are for a 1080-line frame and scale with the shorter side of the output.
+export function toAss(cues, style, { width, height }) {
+  const scale = Math.min(width, height) / 1080;
+  const fontSize = Math.round(style.size * scale);
+  const outline = Math.round(style.outline * scale * 10) / 10;
+  const sideMargin = Math.round(width * 0.05);
+  const bottomMargin = Math.round(height * 0.06);
+
+  // Braces would start ASS override blocks
+  const escape = text => text.replace(/[{}]/g, '').replace(/\n/g, '\\N');
+
+  return [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, ' +
+      'Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, ' +
+      'MarginL, MarginR, MarginV, Encoding',
+    `Style: Default,${style.font},${fontSize},&H00FFFFFF,&H000000FF,&H00000000,&H80000000,-1,0,0,0,100,100,0,0,1,` +
+      `${outline},0,${ASS_ALIGNMENT[style.position]},${sideMargin},${sideMargin},${bottomMargin},1`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...cues.map(cue => `Dialogue: 0,${formatAssTime(cue.start)},${formatAssTime(cue.end)},Default,,0,0,0,,${escape(cue.text)}`),
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCaptions, clipCues, toWebVtt, toAss, DEFAULT_CAPTION_STYLE } from './captions.js';
+
+test('SRT cues keep their times and lose their markup', () => {
+  const srt = '1\r\n00:00:01,500 --> 00:00:03,000\r\n<i>Hello</i>\r\nthere\r\n\r\n2\r\n00:00:04,000 --> 00:00:05,250\r\nAgain\r\n';
+
+  assert.deepEqual(parseCaptions(srt), [
+    { start: 1.5, end: 3, text: 'Hello\nthere' },
+    { start: 4, end: 5.25, text: 'Again' }
+  ]);
+});
+
+test('WebVTT cue settings after the end time are ignored', () => {
+  const vtt = 'WEBVTT\n\n00:01.000 --> 00:02.500 align:start line:0\nFirst\n\nnote\n00:03.000 --> 00:04.000\nSecond\n';
+
+  assert.deepEqual(parseCaptions(vtt), [
+    { start: 1, end: 2.5, text: 'First' },
+    { start: 3, end: 4, text: 'Second' }
+  ]);
+});
+
+test('a bad timing line is reported', () => {
+  assert.throws(() => parseCaptions('00:01 --> soon\nText'), { message: 'Bad timing line "00:01 --> soon"' });
+});
+
+test('LRC lines last until the next one, and an empty line only ends the one before', () => {
+  const lrc = '[ar:Someone]\n[00:01.00]First\n[00:03:50]Second\n[00:05.00]\n[00:20.00]Last';
+
+  assert.deepEqual(parseCaptions(lrc), [
+    { start: 1, end: 3.5, text: 'First' },
+    { start: 3.5, end: 5, text: 'Second' },
+    { start: 20, end: 26, text: 'Last' }
+  ]);
+});
+
+test('an LRC line with several tags repeats', () => {
+  assert.deepEqual(parseCaptions('[00:02.00][00:00.00]Chorus\n[00:04.00]Verse'), [
+    { start: 0, end: 2, text: 'Chorus' },
+    { start: 2, end: 4, text: 'Chorus' },
+    { start: 4, end: 10, text: 'Verse' }
+  ]);
+});
+
+test('plain timestamped lines are read like LRC', () => {
+  assert.deepEqual(parseCaptions('0:00 Intro\n0:04 - Verse'), [
+    { start: 0, end: 4, text: 'Intro' },
+    { start: 4, end: 10, text: 'Verse' }
+  ]);
+});
+
+test('cues are cut off at the duration', () => {
+  assert.deepEqual(parseCaptions('0:00 One\n0:04 Two\n0:12 Three', 6), [
+    { start: 0, end: 4, text: 'One' },
+    { start: 4, end: 6, text: 'Two' }
+  ]);
+  assert.deepEqual(clipCues([{ start: 2, end: 1, text: 'backwards' }, { start: 1, end: 2, text: 'kept' }], 10), [
+    { start: 1, end: 2, text: 'kept' }
+  ]);
+});
+
+test('text with no timed lines is refused', () => {
+  assert.throws(() => parseCaptions('just some lyrics\nwith no times'), /No timed lines found/);
+  assert.throws(() => parseCaptions('0:20 Too late', 10), /No timed lines found/);
+});
+
+test('cues are written out as WebVTT', () => {
+  const vtt = toWebVtt([{ start: 1.5, end: 3723.25, text: 'Hi\nthere' }]);
+
+  assert.equal(vtt, 'WEBVTT\n\n00:00:01.500 --> 01:02:03.250\nHi\nthere\n');
+  assert.deepEqual(parseCaptions(vtt), [{ start: 1.5, end: 3723.25, text: 'Hi\nthere' }]);
+});
+
+test('the ASS script scales the style to the frame and escapes the text', () => {
+  const ass = toAss([{ start: 1, end: 2.5, text: 'A {brace}\nline' }], { ...DEFAULT_CAPTION_STYLE, position: 'top' }, { width: 1080, height: 1920 });
+
+  assert.match(ass, /^PlayResX: 1080$/m);
+  assert.match(ass, /^Style: Default,Sans,56,.*,3,0,8,54,54,115,1$/m);
+  assert.match(ass, /^Dialogue: 0,0:00:01\.00,0:00:02\.50,Default,,0,0,0,,A brace\\Nline$/m);
+
+  const small = toAss([], DEFAULT_CAPTION_STYLE, { width: 540, height: 540 });
+  assert.match(small, /^Style: Default,Sans,28,.*,1\.5,0,2,27,27,32,1$/m);
+});
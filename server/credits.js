@@ -0,0 +1,135 @@
+import { BEATS_PER_BAR, MIN_SCENE_SECONDS, PREFERRED_BPM } from './audioAnalysis.js';
+
+// Credit accounting. Every user has a monthly allowance; a generation is charged its
+// estimated cost when it is accepted and the charge is corrected once the number of
+// frames is known. The ledger only ever grows: corrections and refunds are entries of
+// their own, and what's left is the allowance minus this month's entries.
+
+// Credit settings from the environment
+//   CREDITS_PER_MONTH            allowance of every non-admin account (200)
+//   CREDITS_PER_FRAME            cost of one generated image (1)
+//   CREDITS_PER_MUSIC_SECOND     cost of one second of generated music (0.2)
+//   CREDITS_PER_PLAN             cost of expanding an idea into a plan with the LLM (1)
+export function getCreditPolicy(env = process.env) {
+  const number = (value, fallback) => (value === undefined || value === '' || isNaN(Number(value)) ? fallback : Number(value));
+  return {
+    monthlyCredits: number(env.CREDITS_PER_MONTH, 200),
+    perFrame: number(env.CREDITS_PER_FRAME, 1),
+    perMusicSecond: number(env.CREDITS_PER_MUSIC_SECOND, 0.2),
+    perPlan: number(env.CREDITS_PER_PLAN, 1)
+  };
+}
+
+function roundCredits(credits) {
+  return Math.round(credits * 100) / 100;
+}
+
+export function generationCost({ frames = 0, musicSeconds = 0, plans = 0 }, policy) {
+  return roundCredits(frames * policy.perFrame + musicSeconds * policy.perMusicSecond + plans * policy.perPlan);
+}
+
+// How many frames a generation will probably need before its soundtrack is analysed:
+// one per storyboard scene, otherwise cuts on the beat of a typical tempo (or every two
+// seconds with beat sync off)
+export function estimateFrameCount({ storyboard, duration, cutsPerBar }) {
+  if (storyboard) {
+    return storyboard.length;
+  }
+  if (!cutsPerBar) {
+    return Math.ceil(duration / 2);
+  }
+  const beatsPerCut = Math.max(Math.round(BEATS_PER_BAR / cutsPerBar), 1);
+  const secondsPerCut = Math.max(beatsPerCut * 60 / PREFERRED_BPM, MIN_SCENE_SECONDS);
+  return Math.max(Math.ceil(duration / secondsPerCut), 1);
+}
+
+// Start of the calendar month (UTC) that `date` falls in, and of the next one
+function currentPeriod(date = new Date()) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+  return { start, end };
+}
+
+// Ledger over the `CreditEntry` model ({ user, jobId, kind, credits, details, createdAt }).
+// Admins are charged like everyone else but never run out.
+export function createCreditLedger(CreditEntry, policy) {
+  // Charges for one user run one after another, so two requests can't both spend the last credits
+  const userLocks = new Map();
+
+  function withUserLock(userId, task) {
+    const previous = userLocks.get(userId) || Promise.resolve();
+    const run = previous.then(task, task);
+    const settled = run.catch(() => {});
+    userLocks.set(userId, settled);
+    settled.then(() => {
+      if (userLocks.get(userId) === settled) {
+        userLocks.delete(userId);
+      }
+    });
+    return run;
+  }
+
+  async function spent(userId, since) {
+    const entries = await CreditEntry.find({ user: userId, createdAt: { $gte: since } }).select('credits');
+    return roundCredits(entries.reduce((total, entry) => total + entry.credits, 0));
+  }
+
+  async function usage(user) {
+    const { start, end } = currentPeriod();
+    const used = await spent(user.id, start);
+    const unlimited = user.role === 'admin';
+    return {
+      unlimited,
+      monthlyCredits: unlimited ? null : policy.monthlyCredits,
+      used,
+      remaining: unlimited ? null : roundCredits(Math.max(policy.monthlyCredits - used, 0)),
+      periodStart: start,
+      resetsAt: end,
+      costs: { perFrame: policy.perFrame, perMusicSecond: policy.perMusicSecond, perPlan: policy.perPlan }
+    };
+  }
+
+  // Charge `credits` for `jobId` if the user can afford it. Resolves to { charged: true }
+  // or { charged: false, remaining } when it would go over this month's allowance.
+  function charge(user, jobId, credits, details) {
+    return withUserLock(user.id, async () => {
+      if (user.role !== 'admin') {
+        const { remaining } = await usage(user);
+        if (credits > remaining) {
+          return { charged: false, remaining };
+        }
+      }
+      await CreditEntry.create({ user: user.id, jobId, kind: 'charge', credits, details });
+      return { charged: true };
+    });
+  }
+
+  // Bring the total charged for `jobId` to `credits`: the estimate corrected to the actual
+  // cost, or 0 to refund it. Never refused, since the work was already accepted, but with
+  // `capped` a correction upwards takes no more than is left of a non-admin's allowance.
+  // Resolves to the credits added to the ledger and whether the cap cut them short.
+  function settle(user, jobId, credits, kind, details, { capped = false } = {}) {
+    return withUserLock(String(user.id), async () => {
+      const entries = await CreditEntry.find({ user: user.id, jobId });
+      const charged = roundCredits(entries.reduce((total, entry) => total + entry.credits, 0));
+      const difference = roundCredits(credits - charged);
+      let added = difference;
+      if (capped && difference > 0 && user.role !== 'admin') {
+        const { remaining } = await usage(user);
+        added = Math.min(difference, remaining);
+      }
+      if (added !== 0) {
+        await CreditEntry.create({ user: user.id, jobId, kind, credits: added, details });
+      }
+      return { credits: added, capped: added < difference };
+    });
+  }
+
+  return {
+    usage,
+    charge,
+    // `user` is { id, role }, as for charge
+    adjust: (user, jobId, credits, details) => settle(user, jobId, credits, 'adjustment', details, { capped: true }),
+    refund: (userId, jobId) => settle({ id: userId }, jobId, 0, 'refund')
+  };
+}
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCreditLedger, generationCost } from './credits.js';
+
+const policy = { monthlyCredits: 10, perFrame: 1, perMusicSecond: 0.2 };
+
+// Just enough of the CreditEntry model for the ledger: find (with select) and create
+function createEntryModel() {
+  const entries = [];
+  return {
+    entries,
+    find(filter) {
+      const matches = entries.filter(entry => String(entry.user) === String(filter.user) &&
+        (filter.jobId === undefined || entry.jobId === filter.jobId) &&
+        (filter.createdAt === undefined || entry.createdAt >= filter.createdAt.$gte));
+      return Object.assign(Promise.resolve(matches), { select: () => Promise.resolve(matches) });
+    },
+    async create(entry) {
+      entries.push({ ...entry, createdAt: new Date() });
+    }
+  };
+}
+
+const user = { id: 'user1', role: 'user' };
+const admin = { id: 'admin1', role: 'admin' };
+
+test('an adjustment takes no more than is left of the allowance', async () => {
+  const ledger = createCreditLedger(createEntryModel(), policy);
+  assert.deepEqual(await ledger.charge(user, 'job1', 6, {}), { charged: true });
+
+  const adjustment = await ledger.adjust(user, 'job1', 14, {});
+
+  assert.deepEqual(adjustment, { credits: 4, capped: true });
+  const usage = await ledger.usage(user);
+  assert.equal(usage.used, 10);
+  assert.equal(usage.remaining, 0);
+});
+
+test('an adjustment at the limit adds nothing', async () => {
+  const ledger = createCreditLedger(createEntryModel(), policy);
+  await ledger.charge(user, 'job1', 10, {});
+
+  assert.deepEqual(await ledger.adjust(user, 'job1', 12, {}), { credits: 0, capped: true });
+  assert.equal((await ledger.usage(user)).used, 10);
+});
+
+test('an adjustment within the allowance is charged in full', async () => {
+  const ledger = createCreditLedger(createEntryModel(), policy);
+  await ledger.charge(user, 'job1', 4, {});
+
+  assert.deepEqual(await ledger.adjust(user, 'job1', 7, {}), { credits: 3, capped: false });
+  assert.deepEqual(await ledger.adjust(user, 'job1', 5, {}), { credits: -2, capped: false });
+  assert.equal((await ledger.usage(user)).used, 5);
+});
+
+test('admins are never capped', async () => {
+  const ledger = createCreditLedger(createEntryModel(), policy);
+  await ledger.charge(admin, 'job1', 8, {});
+
+  assert.deepEqual(await ledger.adjust(admin, 'job1', 25, {}), { credits: 17, capped: false });
+  assert.equal((await ledger.usage(admin)).used, 25);
+});
+
+test('a refund returns everything charged for the job', async () => {
+  const ledger = createCreditLedger(createEntryModel(), policy);
+  await ledger.charge(user, 'job1', 6, {});
+  await ledger.adjust(user, 'job1', 8, {});
+
+  await ledger.refund(user.id, 'job1');
+
+  assert.equal((await ledger.usage(user)).used, 0);
+});
+
+test('a plan is charged per plan, on top of frames and music', () => {
+  assert.equal(generationCost({ plans: 1 }, { ...policy, perPlan: 1.5 }), 1.5);
+  assert.equal(generationCost({ frames: 2, musicSeconds: 10, plans: 1 }, { ...policy, perPlan: 1 }), 5);
+});
@@ -0,0 +1,77 @@
+import ffmpeg from 'fluent-ffmpeg';
+
+// Run a prepared fluent-ffmpeg command, killing it if `signal` aborts
+export function runFfmpeg(command, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('ffmpeg run cancelled'));
+      return;
+    }
+
+    const kill = () => command.kill('SIGKILL');
+
+    command
+      .on('end', () => {
+        signal?.removeEventListener('abort', kill);
+        resolve();
+      })
+      .on('error', err => {
+        signal?.removeEventListener('abort', kill);
+        reject(signal?.aborted ? new Error('ffmpeg run cancelled') : err);
+      });
+
+    signal?.addEventListener('abort', kill, { once: true });
+    command.run();
+  });
+}
+
+// ffprobe a media file; resolves with duration (seconds) and whether it has audio/video streams
+export function probeMedia(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        // ffprobe dumps its whole banner into the message; the last line is the actual reason
+        const reason = err.message.trim().split('\n').pop().replace(`${filePath}: `, '');
+        reject(new Error(`Could not read media file: ${reason}`));
+        return;
+      }
+
+      const streams = metadata.streams || [];
+      resolve({
+        duration: Number(metadata.format?.duration) || 0,
+        hasAudio: streams.some(stream => stream.codec_type === 'audio'),
+        hasVideo: streams.some(stream => stream.codec_type === 'video'),
+        streams,
+        format: metadata.format
+      });
+    });
+  });
+}
+
+let availableFilters = null;
+
+// Whether the ffmpeg binary in use has a given filter (older builds lack e.g. xfade)
+export async function hasFilter(name) {
+  if (!availableFilters) {
+    availableFilters = new Promise((resolve, reject) => {
+      ffmpeg.getAvailableFilters((err, filters) => (err ? reject(err) : resolve(filters)));
+    }).catch(err => {
+      availableFilters = null;
+      throw err;
+    });
+  }
+  return Boolean((await availableFilters)[name]);
+}
+
+// "HH:MM:SS.ss" timemark from ffmpeg progress events, in seconds
+export function timemarkToSeconds(timemark) {
+  if (typeof timemark !== 'string') {
+    return 0;
+  }
+  return timemark.split(':').reduce((total, part) => total * 60 + (Number(part) || 0), 0);
+}
+
+// Paths inside a filter graph need forward slashes and escaped drive-letter colons
+export function escapeFilterPath(filePath) {
+  return filePath.replace(/\\/g, '/').replace(/:/g, '\\:');
+}
@@ -0,0 +1,97 @@
+import axios from 'axios';
+import * as fs from 'fs/promises';
+import path from 'path';
+
+// Queries tried when nothing matches the prompt's own keywords
+export const DEFAULT_CATEGORIES = [
+  'ambient music',
+  'background music',
+  'soundtrack',
+  'atmospheric music',
+  'instrumental'
+];
+
+const COMMON_WORDS = ['a', 'an', 'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'with', 'by'];
+
+// Base URL is configurable so tests can point it at a local stub server
+function getApiUrl() {
+  return (process.env.FREESOUND_API_URL || 'https://freesound.org/apiv2').replace(/\/$/, '');
+}
+
+export function isFreesoundConfigured() {
+  return Boolean(process.env.FREE_SOUND_API_KEY);
+}
+
+// Function to extract keywords from prompt
+export function extractKeywords(prompt) {
+  // Remove common words and split into keywords
+  const words = prompt.toLowerCase().split(/\W+/);
+  const keywords = words.filter(word =>
+    word.length > 2 && !COMMON_WORDS.includes(word)
+  );
+  return [...new Set(keywords)];
+}
+
+// Text search returning only sounds that have a downloadable preview
+export async function searchSounds(query, { signal } = {}) {
+  const response = await axios({
+    method: 'get',
+    url: `${getApiUrl()}/search/text/`,
+    params: {
+      query,
+      fields: 'id,name,username,license,duration,previews',
+      filter: 'duration:[3 TO 600]',
+      page_size: 15
+    },
+    headers: {
+      'Authorization': `Token ${process.env.FREE_SOUND_API_KEY}`
+    },
+    timeout: 15000,
+    signal
+  });
+
+  return (response.data?.results || []).filter(sound =>
+    sound.previews?.['preview-hq-mp3'] || sound.previews?.['preview-lq-mp3']
+  );
+}
+
+// Keyword search first, then the default categories; returns the first usable sound and its query
+export async function findSoundForPrompt(prompt, { signal } = {}) {
+  const keywords = extractKeywords(prompt).slice(0, 3);
+  const queries = [
+    ...(keywords.length ? [keywords.join(' '), ...keywords] : []),
+    ...DEFAULT_CATEGORIES
+  ];
+
+  for (const query of queries) {
+    signal?.throwIfAborted();
+    try {
+      const [sound] = await searchSounds(query, { signal });
+      if (sound) {
+        return { sound, query };
+      }
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      console.error(`Freesound search for "${query}" failed:`, error.message);
+    }
+  }
+
+  return null;
+}
+
+export async function downloadPreview(sound, workDir, { signal } = {}) {
+  const previewUrl = sound.previews['preview-hq-mp3'] || sound.previews['preview-lq-mp3'];
+  const response = await axios({
+    method: 'get',
+    url: previewUrl,
+    responseType: 'arraybuffer',
+    timeout: 60000,
+    signal
+  });
+
+  const previewPath = path.join(workDir, `freesound_${sound.id}.mp3`);
+  await fs.writeFile(previewPath, response.data);
+  return previewPath;
+}
@@ -0,0 +1,142 @@
+import * as fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import { JOB_STATUS } from './jobs.js';
+import { OUTPUT_PRESETS } from './presets.js';
+import { number, oneOf, text, validate } from './validation.js';
+
+// Gallery listing: cursor pagination over newest-first videos, text search and filters
+
+export const DEFAULT_PAGE_SIZE = 10;
+export const MAX_PAGE_SIZE = 50;
+const MAX_SEARCH_LENGTH = 200;
+
+// Generations that end up in the gallery; failed and cancelled ones are kept as records
+export const VIDEO_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+// The cursor is the sort key of the last video on the page, opaque to clients
+export function encodeCursor(video) {
+  const key = `${new Date(video.createdAt).toISOString()}|${video._id}`;
+  return Buffer.from(key).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (cursor === undefined || cursor === '') {
+    return null;
+  }
+  const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  const date = new Date(createdAt);
+  if (isNaN(date) || !mongoose.isValidObjectId(id)) {
+    throw new Error('is not a cursor from a previous page');
+  }
+  return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+}
+
+function parseDate(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (typeof value !== 'string' || isNaN(date)) {
+    throw new Error('must be an ISO date such as 2024-05-01');
+  }
+  return date;
+}
+
+const GALLERY_QUERY_RULES = {
+  q: text({ maxLength: MAX_SEARCH_LENGTH }),
+  from: parseDate,
+  to: parseDate,
+  minDuration: number({ min: 0 }),
+  maxDuration: number({ min: 0 }),
+  preset: oneOf(Object.keys(OUTPUT_PRESETS)),
+  status: oneOf(VIDEO_STATUSES),
+  cursor: decodeCursor,
+  limit: number({ integer: true, min: 1, max: MAX_PAGE_SIZE, fallback: DEFAULT_PAGE_SIZE })
+};
+
+// Turn the query string of `GET /api/videos` into a MongoDB filter and page size;
+// throws a ValidationError naming every bad parameter.
+//   q            full-text search over prompts, titles and scene descriptions
+//   from, to     creation date range (inclusive)
+//   minDuration, maxDuration   in seconds
+//   preset       output preset name
+//   status       completed, failed or cancelled
+//   cursor       `nextCursor` from the previous page
+//   limit        page size, up to MAX_PAGE_SIZE
+export function parseGalleryQuery(query) {
+  const { q, from, to, minDuration, maxDuration, preset, status, cursor, limit } = validate(GALLERY_QUERY_RULES, query);
+  const conditions = [];
+
+  if (q) {
+    conditions.push({ $text: { $search: q } });
+  }
+
+  if (from || to) {
+    const createdAt = {};
+    if (from) {
+      createdAt.$gte = from;
+    }
+    if (to) {
+      // A bare date covers the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+        to.setUTCDate(to.getUTCDate() + 1);
+        createdAt.$lt = to;
+      } else {
+        createdAt.$lte = to;
+      }
+    }
+    conditions.push({ createdAt });
+  }
+
+  if (minDuration !== undefined || maxDuration !== undefined) {
+    const duration = {};
+    if (minDuration !== undefined) {
+      duration.$gte = minDuration;
+    }
+    if (maxDuration !== undefined) {
+      duration.$lte = maxDuration;
+    }
+    conditions.push({ duration });
+  }
+
+  if (preset) {
+    conditions.push({ outputPreset: preset });
+  }
+
+  if (status) {
+    // Videos saved before failures were recorded have no status and are all completed
+    conditions.push(status === JOB_STATUS.COMPLETED
+      ? { status: { $in: [JOB_STATUS.COMPLETED, null] } }
+      : { status });
+  }
+
+  if (cursor) {
+    conditions.push({
+      $or: [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor.id } }
+      ]
+    });
+  }
+
+  return {
+    filter: conditions.length ? { $and: conditions } : {},
+    limit
+  };
+}
+
+// Remove a video's files from `videosDir`: the video itself and everything rendered
+// alongside it (poster, preview, captions, HLS ladder), which share its name as a prefix.
+// Returns the names of the removed files.
+export async function deleteVideoFiles(videosDir, video) {
+  if (!video.videoUrl) {
+    return [];
+  }
+  const videoName = path.parse(path.basename(video.videoUrl)).name;
+  const related = (await fs.readdir(videosDir).catch(() => []))
+    .filter(name => name.startsWith(`${videoName}.`) || name.startsWith(`${videoName}_`));
+
+  await Promise.all(related.map(name => fs.rm(path.join(videosDir, name), { recursive: true, force: true })));
+  return related;
+}
@@ -0,0 +1,127 @@
+import axios from 'axios';
+import { execFile } from 'child_process';
+import * as fs from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+
+// Health checks of what jobs depend on. Every check resolves to { ok, ... } with the
+// details worth showing, and an `error` saying what's wrong when it isn't ok.
+
+const execFileAsync = promisify(execFile);
+const MB = 1024 * 1024;
+
+// Health settings from the environment
+//   MIN_FREE_DISK_MB        free space temp/ and videos/ each need for new jobs (500)
+//   HEALTH_CACHE_SECONDS    how long one round of checks is reused before checking again (10)
+//   MUSIC_HEALTH_TIMEOUT_MS how long the music server gets to answer its /health (3000)
+export function getHealthPolicy(env = process.env) {
+  const number = (value, fallback) => (value === undefined || value === '' || isNaN(Number(value)) ? fallback : Number(value));
+  return {
+    minFreeBytes: number(env.MIN_FREE_DISK_MB, 500) * MB,
+    cacheMs: number(env.HEALTH_CACHE_SECONDS, 10) * 1000,
+    musicTimeoutMs: number(env.MUSIC_HEALTH_TIMEOUT_MS, 3000)
+  };
+}
+
+// A mongoose connection, from its ready state. Mongoose notices a lost server on its own,
+// so this needs no round trip.
+export function checkMongo(connection) {
+  const state = connection.states[connection.readyState] || 'unknown';
+  const ok = state === 'connected';
+  return { ok, state, ...(!ok && { error: `MongoDB is ${state}` }) };
+}
+
+// The music server's own /health, passed on as `response`
+export async function checkMusicServer(url, { timeoutMs }) {
+  try {
+    const { data } = await axios.get(`${url}/health`, { timeout: timeoutMs });
+    if (data?.status !== 'healthy' || data.model_loaded === false) {
+      return { ok: false, url, response: data, error: `the music server at ${url} is not ready (status ${data?.status})` };
+    }
+    return { ok: true, url, response: data };
+  } catch (error) {
+    return { ok: false, url, error: `the music server at ${url} is not responding (${error.message})` };
+  }
+}
+
+// An ffmpeg-family binary, with the version from the first line of its `-version` banner
+export async function checkBinary(name, binaryPath) {
+  try {
+    const { stdout } = await execFileAsync(binaryPath, ['-version'], { timeout: 5000 });
+    const version = stdout.match(/version (\S+)/)?.[1] || 'unknown';
+    return { ok: true, version };
+  } catch (error) {
+    return { ok: false, error: `${name} could not be run (${error.message})` };
+  }
+}
+
+// Free space on the disk holding `dir`. A directory not made yet is measured by the
+// nearest one that exists, which is where it will be made.
+export async function checkDiskSpace(dir, { minFreeBytes, label = dir }) {
+  let measured = dir;
+  for (;;) {
+    try {
+      const stats = await fs.statfs(measured);
+      const freeBytes = stats.bavail * stats.bsize;
+      const totalBytes = stats.blocks * stats.bsize;
+      const ok = freeBytes >= minFreeBytes;
+      return {
+        ok,
+        freeBytes,
+        totalBytes,
+        minFreeBytes,
+        ...(!ok && { error: `only ${Math.floor(freeBytes / MB)} MB is free for ${label} (at least ${Math.ceil(minFreeBytes / MB)} MB is needed)` })
+      };
+    } catch (error) {
+      const parent = path.dirname(measured);
+      if (error.code !== 'ENOENT' || parent === measured) {
+        return { ok: false, error: `free space for ${label} could not be checked (${error.message})` };
+      }
+      measured = parent;
+    }
+  }
+}
+
+// Runs `checks` ({ name: () => result }) together, at most once per `cacheMs`: callers in
+// between get the last results, and callers during a run share it. A check that throws
+// counts as failed.
+export function createHealthMonitor(checks, { cacheMs }) {
+  let last = null;
+  let running = null;
+
+  async function runChecks() {
+    const results = await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+      try {
+        return [name, await check()];
+      } catch (error) {
+        return [name, { ok: false, error: error.message }];
+      }
+    }));
+    return { checkedAt: new Date(), checks: Object.fromEntries(results) };
+  }
+
+  function report() {
+    if (last && Date.now() - last.checkedAt < cacheMs) {
+      return Promise.resolve(last);
+    }
+    if (!running) {
+      running = runChecks()
+        .then(result => {
+          last = result;
+          return result;
+        })
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  }
+
+  return { report };
+}
+
+// The first of `names` whose check failed in `report` ({ dependency, error }), or null
+export function findFailure(report, names) {
+  const dependency = names.find(name => !report.checks[name]?.ok);
+  return dependency ? { dependency, error: report.checks[dependency]?.error || `${dependency} is not available` } : null;
+}
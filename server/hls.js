@@ -0,0 +1,145 @@
+import ffmpeg from 'fluent-ffmpeg';
+import * as fs from 'fs/promises';
+import path from 'path';
+import { runFfmpeg } from './ffmpeg.js';
+
+// HLS packaging: a finished video re-encoded into a ladder of H.264/AAC renditions,
+// cut into segments, with a master playlist players pick a rendition from as their
+// bandwidth allows. The files sit in a `<video name>_hls/` directory next to the video.
+
+// Renditions from best to smallest, by the length of the frame's short side so
+// vertical and square videos get the same ladder as horizontal ones
+export const HLS_LADDER = [
+  { name: '1080p', shortSide: 1080, videoBitrate: '5000k' },
+  { name: '720p', shortSide: 720, videoBitrate: '2800k' },
+  { name: '480p', shortSide: 480, videoBitrate: '1400k' },
+  { name: '360p', shortSide: 360, videoBitrate: '800k' }
+];
+
+export const HLS_MASTER_PLAYLIST = 'master.m3u8';
+const SEGMENT_SECONDS = 4;
+const AUDIO_BITRATE = '128k';
+// RFC 6381 codec strings for H.264 Main at level 4.0 and AAC-LC, as encoded below
+const H264_CODEC = 'avc1.4d4028';
+const AAC_CODEC = 'mp4a.40.2';
+
+// HLS settings from the environment
+//   HLS_ENABLED      "true" to package every finished video for streaming (off by default,
+//                    since each rendition is another encode)
+//   HLS_RENDITIONS   comma-separated rendition names to offer (all of HLS_LADDER)
+export function getHlsPolicy(env = process.env) {
+  const names = (env.HLS_RENDITIONS || '').split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = names.filter(name => !HLS_LADDER.some(rung => rung.name === name));
+  if (unknown.length) {
+    throw new Error(`Unknown HLS rendition ${unknown.join(', ')}. Use: ${HLS_LADDER.map(rung => rung.name).join(', ')}`);
+  }
+  return {
+    enabled: env.HLS_ENABLED === 'true',
+    ladder: names.length ? HLS_LADDER.filter(rung => names.includes(rung.name)) : HLS_LADDER
+  };
+}
+
+// Even dimensions, as H.264 needs them
+function evenSize(value) {
+  return Math.max(Math.round(value / 2) * 2, 2);
+}
+
+// The renditions worth making of a `width`×`height` video: none larger than the video
+// itself, but always at least the smallest one
+export function planRenditions(width, height, ladder = HLS_LADDER) {
+  const shortSide = Math.min(width, height);
+  const fitting = ladder.filter(rung => rung.shortSide <= shortSide);
+  const rungs = fitting.length ? fitting : ladder.slice(-1);
+  return rungs.map(rung => {
+    const scale = Math.min(rung.shortSide / shortSide, 1);
+    return { ...rung, width: evenSize(width * scale), height: evenSize(height * scale) };
+  });
+}
+
+// Bits per second of an ffmpeg bitrate such as "800k" or "5M"
+function bitsPerSecond(bitrate) {
+  const units = { k: 1e3, m: 1e6 };
+  return Math.round(parseFloat(bitrate) * (units[bitrate.slice(-1).toLowerCase()] || 1));
+}
+
+// The master playlist listing every rendition's own playlist. Written here rather than by
+// ffmpeg, whose master playlist support differs between the builds we run on.
+function masterPlaylist(renditions, hasAudio) {
+  const codecs = hasAudio ? `${H264_CODEC},${AAC_CODEC}` : H264_CODEC;
+  return [
+    '#EXTM3U',
+    '#EXT-X-VERSION:6',
+    '#EXT-X-INDEPENDENT-SEGMENTS',
+    ...renditions.flatMap(rendition => [
+      `#EXT-X-STREAM-INF:BANDWIDTH=${bitsPerSecond(rendition.videoBitrate) + (hasAudio ? bitsPerSecond(AUDIO_BITRATE) : 0)},` +
+        `RESOLUTION=${rendition.width}x${rendition.height},CODECS="${codecs}"`,
+      `${rendition.name}/index.m3u8`
+    ]),
+    ''
+  ].join('\n');
+}
+
+// Write the HLS ladder of `videoPath` into `outputDir`: a directory of segments and a
+// playlist per rendition, and the master playlist. `metadata` is the video's
+// ({ width, height, hasAudio }). Returns the path of the master playlist; a failed run
+// leaves no directory behind.
+export async function packageHls(videoPath, outputDir, { width, height, hasAudio }, { ladder, signal } = {}) {
+  const renditions = planRenditions(width, height, ladder);
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const split = `[0:v]split=${renditions.length}${renditions.map((_, i) => `[in${i}]`).join('')}`;
+  const scales = renditions.map((rendition, i) => `[in${i}]scale=${rendition.width}:${rendition.height},setsar=1[out${i}]`);
+
+  const outputOptions = [];
+  renditions.forEach((rendition, i) => {
+    outputOptions.push('-map', `[out${i}]`);
+    if (hasAudio) {
+      outputOptions.push('-map', '0:a:0');
+    }
+    outputOptions.push(
+      `-b:v:${i}`, rendition.videoBitrate,
+      `-maxrate:v:${i}`, rendition.videoBitrate,
+      `-bufsize:v:${i}`, `${parseInt(rendition.videoBitrate, 10) * 2}k`
+    );
+  });
+  // Each rendition is written to a directory named by its index, renamed once done
+  const streamMap = renditions.map((_, i) => (hasAudio ? `v:${i},a:${i}` : `v:${i}`)).join(' ');
+
+  const command = ffmpeg(videoPath)
+    .complexFilter([split, ...scales])
+    // Passed as separate arguments: fluent-ffmpeg splits a lone string with one space in
+    // it, which would break the stream map and paths with a space
+    .outputOptions(
+      ...outputOptions,
+      '-sn',
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-profile:v', 'main',
+      '-level', '4.0',
+      '-pix_fmt', 'yuv420p',
+      // A keyframe at every segment boundary, so players can switch renditions between segments
+      '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_SECONDS})`,
+      '-sc_threshold', '0',
+      ...(hasAudio ? ['-c:a', 'aac', '-b:a', AUDIO_BITRATE, '-ac', '2'] : []),
+      '-f', 'hls',
+      '-hls_time', String(SEGMENT_SECONDS),
+      '-hls_playlist_type', 'vod',
+      '-hls_flags', 'independent_segments',
+      '-hls_segment_filename', path.join(outputDir, '%v', 'segment_%03d.ts'),
+      '-var_stream_map', streamMap
+    )
+    .output(path.join(outputDir, '%v', 'index.m3u8'));
+
+  try {
+    await runFfmpeg(command, { signal });
+    for (const [i, rendition] of renditions.entries()) {
+      await fs.rename(path.join(outputDir, String(i)), path.join(outputDir, rendition.name));
+    }
+    const masterPath = path.join(outputDir, HLS_MASTER_PLAYLIST);
+    await fs.writeFile(masterPath, masterPlaylist(renditions, hasAudio));
+    return masterPath;
+  } catch (error) {
+    await fs.rm(outputDir, { recursive: true, force: true }).catch(() => {});
+    throw error;
+  }
+}
@@ -0,0 +1,75 @@
+import stabilityProvider from './stability.js';
+import localProvider from './local.js';
+
+// Every image provider exposes the same shape:
+//   name                      - identifier used in requests and config
+//   sizes                     - list of { width, height } it can generate, or null for any size
+//   params                    - the fixed generation settings it uses, recorded with each video
+//   controls                  - settings a request may tune, by name: { type: 'number' | 'integer'
+//                               | 'enum', min, max, step or values, default }. generateImage gets
+//                               the chosen values as `params`.
+//   isConfigured()            - whether it has what it needs (API keys etc.)
+//   generateImage(options)    - renders one frame for `prompt` (steering away from `negativePrompt`
+//                               where supported) to `outputPath` and returns the path. Providers
+//                               that take a `seed` give the same image for the same seed and prompt.
+const providers = {
+  [stabilityProvider.name]: stabilityProvider,
+  [localProvider.name]: localProvider
+};
+
+export function getDefaultImageProviderName() {
+  return process.env.IMAGE_PROVIDER || stabilityProvider.name;
+}
+
+export function getImageProvider(name = getDefaultImageProviderName()) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown image provider "${name}". Available: ${Object.keys(providers).join(', ')}`);
+  }
+  return provider;
+}
+
+export function listImageProviders() {
+  return Object.values(providers).map(provider => ({
+    name: provider.name,
+    configured: provider.isConfigured(),
+    default: provider.name === getDefaultImageProviderName(),
+    controls: provider.controls
+  }));
+}
+
+// Check requested settings against the provider's controls and fill in its defaults.
+// Throws with the reason when a setting is unknown or out of range.
+export function resolveImageParams(provider, requested = {}) {
+  for (const name of Object.keys(requested)) {
+    if (!provider.controls[name]) {
+      const supported = Object.keys(provider.controls);
+      throw new Error(`Image provider "${provider.name}" has no "${name}" setting` +
+        (supported.length ? `. Supported: ${supported.join(', ')}` : ''));
+    }
+  }
+
+  const params = {};
+  for (const [name, control] of Object.entries(provider.controls)) {
+    const value = requested[name] ?? control.default;
+    if (value === null || value === undefined || value === '') {
+      continue;
+    }
+
+    if (control.type === 'enum') {
+      if (!control.values.includes(value)) {
+        throw new Error(`Invalid ${name} "${value}". Use one of: ${control.values.join(', ')}`);
+      }
+      params[name] = value;
+    } else {
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < control.min || number > control.max ||
+        (control.type === 'integer' && !Number.isInteger(number))) {
+        throw new Error(`${name} must be ${control.type === 'integer' ? 'a whole number' : 'a number'} ` +
+          `from ${control.min} to ${control.max}`);
+      }
+      params[name] = number;
+    }
+  }
+  return params;
+}
@@ -0,0 +1,87 @@
+import ffmpeg from 'fluent-ffmpeg';
+import * as fs from 'fs/promises';
+import { createHash } from 'crypto';
+import { runFfmpeg, escapeFilterPath } from '../ffmpeg.js';
+
+const LINE_LENGTH = 32;
+const MAX_LINES = 8;
+
+// Two gradient colors derived from the prompt, so the same prompt always renders the same frame
+function gradientColors(prompt) {
+  const digest = createHash('sha1').update(prompt).digest();
+  return [
+    [digest[0], digest[1], digest[2]],
+    [digest[3], digest[4], digest[5]]
+  ];
+}
+
+// Simple word wrap for drawtext, which has no wrapping of its own
+function wrapText(text) {
+  const lines = [];
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      if (line && line.length + word.length + 1 > LINE_LENGTH) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    }
+    lines.push(line);
+  }
+  if (lines.length > MAX_LINES) {
+    lines.length = MAX_LINES;
+    lines[MAX_LINES - 1] += '...';
+  }
+  return lines.join('\n');
+}
+
+// Offline placeholder frames: the prompt drawn on a gradient with ffmpeg's lavfi sources.
+// Costs nothing and needs no network, which makes it the provider for development and tests.
+const localProvider = {
+  name: 'local',
+  sizes: null,
+  // Frames depend only on the prompt, so there is nothing to tune and seeds are ignored
+  params: {},
+  controls: {},
+
+  isConfigured() {
+    return true;
+  },
+
+  async generateImage({ prompt, width = 1024, height = 1024, index, totalFrames, outputPath, signal }) {
+    const [[r1, g1, b1], [r2, g2, b2]] = gradientColors(prompt);
+    // The frame counter goes after the wrapped prompt so truncation never drops it
+    const caption = index ? `${wrapText(prompt)}\n\n${index}/${totalFrames}` : wrapText(prompt);
+
+    // drawtext reads the caption from a file so the prompt needs no filter escaping, and
+    // expansion is off so a % in it is drawn rather than taken for a %{...} sequence
+    const textPath = `${outputPath}.txt`;
+    await fs.writeFile(textPath, caption);
+
+    try {
+      const command = ffmpeg()
+        .input(`color=c=black:s=${width}x${height}:d=1`)
+        .inputFormat('lavfi')
+        .videoFilters([
+          'format=rgb24',
+          `geq=r='${r1}+(${r2}-${r1})*X/W':g='${g1}+(${g2}-${g1})*Y/H':b='${b1}+(${b2}-${b1})*(X+Y)/(W+H)'`,
+          `drawtext=textfile=${escapeFilterPath(textPath)}:fontcolor=white:fontsize=${Math.round(width / 24)}` +
+            ':expansion=none:borderw=2:bordercolor=black@0.6:line_spacing=8:x=(w-text_w)/2:y=(h-text_h)/2'
+        ])
+        .frames(1)
+        .output(outputPath);
+
+      await runFfmpeg(command, { signal }).catch(err => {
+        throw signal?.aborted ? err : new Error(`Failed to render placeholder frame: ${err.message}`);
+      });
+    } finally {
+      await fs.unlink(textPath).catch(() => {});
+    }
+
+    return outputPath;
+  }
+};
+
+export default localProvider;
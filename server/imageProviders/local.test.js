@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import * as fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import localProvider from './local.js';
+
+const execFileAsync = promisify(execFile);
+ffmpeg.setFfmpegPath(ffmpegInstaller.path);
+
+const SIZE = 256;
+
+// Pixels of a rendered frame close to the white of the caption
+async function countWhitePixels(imagePath) {
+  const { stdout } = await execFileAsync(ffmpegInstaller.path,
+    ['-v', 'error', '-i', imagePath, '-f', 'rawvideo', '-pix_fmt', 'rgb24', '-'],
+    { encoding: 'buffer', maxBuffer: SIZE * SIZE * 3 * 2 });
+  let count = 0;
+  for (let i = 0; i < stdout.length; i += 3) {
+    if (stdout[i] > 230 && stdout[i + 1] > 230 && stdout[i + 2] > 230) {
+      count++;
+    }
+  }
+  return count;
+}
+
+async function render(prompt) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-provider-'));
+  const outputPath = path.join(dir, 'frame.png');
+  try {
+    await localProvider.generateImage({ prompt, width: SIZE, height: SIZE, outputPath });
+    return await countWhitePixels(outputPath);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('a prompt is drawn on the frame', async () => {
+  assert.ok(await render('a calm lake at dawn') > 0);
+});
+
+test('a prompt with % is drawn as written', async () => {
+  assert.ok(await render('sales up 100% today') > 0);
+  assert.ok(await render('%{pts} 50%% %') > 0);
+});
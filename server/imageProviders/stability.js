@@ -0,0 +1,94 @@
+import axios from 'axios';
+import * as fs from 'fs/promises';
+
+const ENGINE = 'stable-diffusion-xl-1024-v1-0';
+const STABILITY_URL = `https://api.stability.ai/v1/generation/${ENGINE}/text-to-image`;
+// Generous for SDXL at 50 steps, but a stalled request fails (and gets retried) instead of hanging
+const REQUEST_TIMEOUT_MS = 120000;
+
+// Tunable sampling settings and the range the v1 API accepts for each
+const CONTROLS = {
+  cfgScale: { type: 'number', min: 0, max: 35, step: 0.5, default: 7 },
+  steps: { type: 'integer', min: 10, max: 50, step: 1, default: 25 },
+  sampler: {
+    type: 'enum',
+    values: [
+      'DDIM', 'DDPM', 'K_DPMPP_2M', 'K_DPMPP_2S_ANCESTRAL', 'K_DPM_2', 'K_DPM_2_ANCESTRAL',
+      'K_EULER', 'K_EULER_ANCESTRAL', 'K_HEUN', 'K_LMS'
+    ],
+    default: null
+  },
+  stylePreset: {
+    type: 'enum',
+    values: [
+      '3d-model', 'analog-film', 'anime', 'cinematic', 'comic-book', 'digital-art', 'enhance',
+      'fantasy-art', 'isometric', 'line-art', 'low-poly', 'modeling-compound', 'neon-punk',
+      'origami', 'photographic', 'pixel-art', 'tile-texture'
+    ],
+    default: null
+  }
+};
+
+// The only dimensions the SDXL 1024 engine accepts
+const SDXL_SIZES = [
+  [1024, 1024], [1152, 896], [896, 1152], [1216, 832], [832, 1216],
+  [1344, 768], [768, 1344], [1536, 640], [640, 1536]
+].map(([width, height]) => ({ width, height }));
+
+// Stable Diffusion XL through the Stability REST API
+const stabilityProvider = {
+  name: 'stability',
+  sizes: SDXL_SIZES,
+  params: { engine: ENGINE },
+  controls: CONTROLS,
+
+  isConfigured() {
+    return Boolean(process.env.STABILITY_API_KEY);
+  },
+
+  async generateImage({ prompt, negativePrompt, width = 1024, height = 1024, seed = 0, params = {}, outputPath, signal }) {
+    if (!process.env.STABILITY_API_KEY) {
+      throw new Error('Missing Stability API key');
+    }
+
+    // Negative weights steer the image away from a prompt
+    const textPrompts = [{ text: prompt, weight: 1 }];
+    if (negativePrompt) {
+      textPrompts.push({ text: negativePrompt, weight: -1 });
+    }
+
+    const response = await axios({
+      method: 'post',
+      url: STABILITY_URL,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.STABILITY_API_KEY}`,
+        'Accept': 'application/json'
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      signal,
+      data: {
+        text_prompts: textPrompts,
+        cfg_scale: params.cfgScale ?? CONTROLS.cfgScale.default,
+        height,
+        width,
+        samples: 1,
+        steps: params.steps ?? CONTROLS.steps.default,
+        // Left out, the API picks its own sampler and applies no style preset
+        ...(params.sampler && { sampler: params.sampler }),
+        ...(params.stylePreset && { style_preset: params.stylePreset }),
+        // 0 lets Stability pick a random seed
+        seed
+      }
+    });
+
+    if (!response.data?.artifacts?.[0]?.base64) {
+      throw new Error('Invalid response from Stability API');
+    }
+
+    await fs.writeFile(outputPath, Buffer.from(response.data.artifacts[0].base64, 'base64'));
+    return outputPath;
+  }
+};
+
+export default stabilityProvider;
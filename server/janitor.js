@@ -0,0 +1,123 @@
+import * as fs from 'fs/promises';
+import path from 'path';
+
+// Housekeeping for the directories the server writes to: stale job files in temp/,
+// and the retention period and size quota for videos/ (with the projects/ they came from)
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Storage settings from the environment. Retention and quota are off unless set.
+//   TEMP_MAX_AGE_HOURS        temp files older than this and not used by a running job (6)
+//   JANITOR_INTERVAL_MINUTES  how often the janitor runs after the one at startup (60)
+//   VIDEO_RETENTION_DAYS      unpinned videos older than this are deleted
+//   VIDEOS_MAX_GB             oldest unpinned videos are deleted while videos/ and projects/
+//                             together are larger
+export function getStoragePolicy(env = process.env) {
+  return {
+    tempMaxAgeMs: (Number(env.TEMP_MAX_AGE_HOURS) || 6) * HOUR_MS,
+    intervalMs: (Number(env.JANITOR_INTERVAL_MINUTES) || 60) * 60 * 1000,
+    retentionMs: Number(env.VIDEO_RETENTION_DAYS) * DAY_MS || null,
+    maxVideoBytes: Number(env.VIDEOS_MAX_GB) * 1024 * 1024 * 1024 || null
+  };
+}
+
+// Remove entries of `tempDir` last touched more than `maxAgeMs` ago. Job directories are
+// named after their job, and `isInUse(name)` keeps the ones of jobs still running.
+// Uploads waiting for their job sit in uploads/ and are judged one by one.
+export async function removeStaleTempFiles(tempDir, { maxAgeMs, isInUse = () => false }) {
+  const cutoff = Date.now() - maxAgeMs;
+  const removed = [];
+
+  const removeIfStale = async (entryPath, name) => {
+    const stats = await fs.stat(entryPath).catch(() => null);
+    if (!stats || stats.mtimeMs > cutoff || isInUse(name)) {
+      return;
+    }
+    await fs.rm(entryPath, { recursive: true, force: true });
+    removed.push(path.relative(tempDir, entryPath));
+  };
+
+  for (const name of await fs.readdir(tempDir).catch(() => [])) {
+    const entryPath = path.join(tempDir, name);
+    if (name === 'uploads') {
+      for (const upload of await fs.readdir(entryPath).catch(() => [])) {
+        await removeIfStale(path.join(entryPath, upload), upload);
+      }
+    } else {
+      await removeIfStale(entryPath, name);
+    }
+  }
+  return removed;
+}
+
+// Bytes taken by a file, or by everything in a directory
+async function diskUsage(entryPath) {
+  const stats = await fs.stat(entryPath).catch(() => null);
+  if (!stats?.isDirectory()) {
+    return stats?.isFile() ? stats.size : 0;
+  }
+  let total = 0;
+  for (const name of await fs.readdir(entryPath).catch(() => [])) {
+    total += await diskUsage(path.join(entryPath, name));
+  }
+  return total;
+}
+
+// Size of every entry directly in `dir`, by name; a directory (such as a video's HLS
+// ladder) counts everything in it
+export async function listFileSizes(dir) {
+  const sizes = new Map();
+  for (const name of await fs.readdir(dir).catch(() => [])) {
+    sizes.set(name, await diskUsage(path.join(dir, name)));
+  }
+  return sizes;
+}
+
+// Remove files in `videosDir` that belong to none of `videoUrls` and are older than
+// `maxAgeMs`: the outputs of renders whose record was never saved. A video's poster,
+// preview, captions and HLS directory share its name up to a '_' or '.'.
+export async function removeOrphanVideoFiles(videosDir, videoUrls, { maxAgeMs }) {
+  const names = new Set(videoUrls.map(url => path.parse(path.basename(url)).name));
+  const belongsToVideo = file => [...file].some((char, i) =>
+    (char === '.' || char === '_') && names.has(file.slice(0, i))
+  );
+  const cutoff = Date.now() - maxAgeMs;
+  const removed = [];
+
+  for (const file of await fs.readdir(videosDir).catch(() => [])) {
+    if (belongsToVideo(file)) {
+      continue;
+    }
+    const stats = await fs.stat(path.join(videosDir, file)).catch(() => null);
+    if (stats && (stats.isFile() || stats.isDirectory()) && stats.mtimeMs <= cutoff) {
+      await fs.rm(path.join(videosDir, file), { recursive: true, force: true });
+      removed.push(file);
+    }
+  }
+  return removed;
+}
+
+// Run `task` now and then every `intervalMs`, never two at once. The timer doesn't
+// keep the process alive on its own.
+export function scheduleJanitor(task, intervalMs) {
+  let running = false;
+  const run = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error('Janitor run failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,140 @@
+import { randomUUID } from 'crypto';
+import * as fs from 'fs/promises';
+import { EventEmitter } from 'events';
+
+// In-memory registry of generation jobs, keyed by request ID
+const jobs = new Map();
+
+// Every job update is broadcast on an event named after the job ID
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Finished jobs are kept around for a while so clients can still read the result
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+export function isJobFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+function pruneFinishedJobs() {
+  const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (isJobFinished(job) && job.updatedAt.getTime() < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+// `id` is given when something (a credit charge) had to refer to the job before it existed
+export function createJob(params, { userId = null, userRole = null, id = randomUUID() } = {}) {
+  pruneFinishedJobs();
+
+  const now = new Date();
+  const job = {
+    id,
+    params,
+    // The account that started the job; only it (or an admin) may follow or cancel it
+    userId,
+    userRole,
+    status: JOB_STATUS.PENDING,
+    stage: 'Queued',
+    progress: 0,
+    videoId: null,
+    projectId: null,
+    videoUrl: null,
+    captionsUrl: null,
+    posterUrl: null,
+    previewUrl: null,
+    hlsUrl: null,
+    audioSource: null,
+    bpm: null,
+    // Asset cache hits, misses and size for this job
+    cache: null,
+    // Frames that failed and were replaced by a neighbour or placeholder
+    substitutedFrames: [],
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    // Aborted on cancel; every network request and ffmpeg run of the job listens to it
+    abortController: new AbortController(),
+    // Temp files and directories that go when the job ends, however it ends
+    tempPaths: []
+  };
+
+  jobs.set(job.id, job);
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+export function updateJob(job, fields) {
+  Object.assign(job, fields, { updatedAt: new Date() });
+  jobEvents.emit(job.id, serializeJob(job));
+  return job;
+}
+
+// Abort all in-flight work for a job and mark it cancelled
+export function cancelJob(job) {
+  if (isJobFinished(job)) {
+    return false;
+  }
+  job.abortController.abort();
+  updateJob(job, { status: JOB_STATUS.CANCELLED, stage: 'Cancelled' });
+  return true;
+}
+
+export function trackTempPath(job, tempPath) {
+  job.tempPaths.push(tempPath);
+  return tempPath;
+}
+
+export async function removeJobTempFiles(job) {
+  const tempPaths = job.tempPaths.splice(0);
+  await Promise.all(tempPaths.map(tempPath =>
+    fs.rm(tempPath, { recursive: true, force: true }).catch(error => {
+      console.error(`[${job.id}] Failed to remove ${tempPath}:`, error.message);
+    })
+  ));
+}
+
+// Listen for updates to a job; returns a function that removes the listener
+export function subscribeToJob(job, listener) {
+  jobEvents.on(job.id, listener);
+  return () => jobEvents.off(job.id, listener);
+}
+
+// Public view of a job, as returned by the API
+export function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    videoId: job.videoId,
+    projectId: job.projectId,
+    videoUrl: job.videoUrl,
+    captionsUrl: job.captionsUrl,
+    posterUrl: job.posterUrl,
+    previewUrl: job.previewUrl,
+    hlsUrl: job.hlsUrl,
+    audioSource: job.audioSource,
+    bpm: job.bpm,
+    cache: job.cache,
+    substitutedFrames: job.substitutedFrames,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
@@ -0,0 +1,25 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+function getModelName() {
+  return process.env.GEMINI_MODEL || 'gemini-pro';
+}
+
+export default {
+  name: 'gemini',
+
+  isConfigured() {
+    return Boolean(process.env.GEMINI_API_KEY);
+  },
+
+  async complete(prompt, { signal } = {}) {
+    signal?.throwIfAborted();
+    const model = new GoogleGenerativeAI(process.env.GEMINI_API_KEY).getGenerativeModel({ model: getModelName() });
+
+    // The SDK can't cancel a request, so an abort only stops us waiting for it
+    const aborted = new Promise((_, reject) => {
+      signal?.addEventListener('abort', () => reject(new Error('Request cancelled')), { once: true });
+    });
+    const result = await Promise.race([model.generateContent(prompt), aborted]);
+    return result.response.text();
+  }
+};
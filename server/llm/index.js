@@ -0,0 +1,23 @@
+import geminiClient from './gemini.js';
+import stubClient from './stub.js';
+
+// Every LLM client exposes the same shape:
+//   name                      - identifier used in requests and config
+//   isConfigured()            - whether it has what it needs (API keys etc.)
+//   complete(prompt, options) - resolves to the model's text reply; `options.signal` aborts it
+const clients = {
+  [geminiClient.name]: geminiClient,
+  [stubClient.name]: stubClient
+};
+
+export function getDefaultLlmClientName() {
+  return process.env.LLM_PROVIDER || geminiClient.name;
+}
+
+export function getLlmClient(name = getDefaultLlmClientName()) {
+  const client = clients[name];
+  if (!client) {
+    throw new Error(`Unknown LLM client "${name}". Available: ${Object.keys(clients).join(', ')}`);
+  }
+  return client;
+}
@@ -0,0 +1,34 @@
+import * as fs from 'fs/promises';
+
+// Fixed plan returned when LLM_STUB_RESPONSE doesn't point at a file of its own
+const CANNED_RESPONSE = JSON.stringify({
+  title: 'Neon Tide',
+  music: {
+    genre: 'synthwave',
+    mood: 'dreamy, nostalgic, slow build'
+  },
+  style: 'neon glow, soft film grain, 35mm, shallow depth of field',
+  scenes: [
+    { prompt: 'an empty coastal highway at dusk, streetlights flickering on', shotType: 'establishing' },
+    { prompt: 'a vintage car cruising past palm trees, reflections on the chrome', shotType: 'action' },
+    { prompt: 'the driver\'s hands on the wheel, dashboard glowing pink', shotType: 'closeup' },
+    { prompt: 'the city skyline rising over the ocean at night', shotType: 'finale' }
+  ]
+});
+
+// Offline stand-in for a real model: answers every prompt with the same JSON
+export default {
+  name: 'stub',
+
+  isConfigured() {
+    return true;
+  },
+
+  async complete(prompt, { signal } = {}) {
+    signal?.throwIfAborted();
+    if (process.env.LLM_STUB_RESPONSE) {
+      return fs.readFile(process.env.LLM_STUB_RESPONSE, 'utf8');
+    }
+    return CANNED_RESPONSE;
+  }
+};
@@ -0,0 +1,62 @@
+import { readFileSync } from 'fs';
+
+// Flags texts containing a listed word or phrase, matched as whole words regardless of
+// case. The list comes from MODERATION_DENYLIST (comma-separated) and/or
+// MODERATION_DENYLIST_FILE (one term per line, `#` starts a comment). A rewrite drops the
+// terms, unless that leaves nothing worth sending.
+
+// Terms are read once, on first use; the list changes with a restart
+let patterns = null;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function loadPatterns() {
+  const terms = (process.env.MODERATION_DENYLIST || '').split(',');
+  if (process.env.MODERATION_DENYLIST_FILE) {
+    terms.push(...readFileSync(process.env.MODERATION_DENYLIST_FILE, 'utf8')
+      .split('\n')
+      .map(line => line.replace(/#.*/, '')));
+  }
+  const unique = [...new Set(terms.map(term => term.trim().toLowerCase()).filter(Boolean))];
+  return unique.map(term => ({
+    term,
+    // Letters and digits either side would make it part of a longer word
+    pattern: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term).replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{N}])`, 'giu')
+  }));
+}
+
+function classifyText(text) {
+  const matches = patterns.filter(({ pattern }) => {
+    pattern.lastIndex = 0;
+    return pattern.test(text);
+  });
+  if (!matches.length) {
+    return { flagged: false, reasons: [], rewrite: null };
+  }
+  const rewrite = matches
+    .reduce((cleaned, { pattern }) => cleaned.replace(pattern, ''), text)
+    .replace(/\s{2,}/g, ' ')
+    .replace(/\s+([,.;:!?])/g, '$1')
+    .replace(/^[\s,;:]+|[\s,;:]+$/g, '');
+  return {
+    flagged: true,
+    reasons: matches.map(({ term }) => `contains "${term}"`),
+    rewrite: /[\p{L}\p{N}]/u.test(rewrite) ? rewrite : null
+  };
+}
+
+export default {
+  name: 'denylist',
+
+  isConfigured() {
+    return true;
+  },
+
+  async classify(texts, { signal } = {}) {
+    signal?.throwIfAborted();
+    patterns ??= loadPatterns();
+    return texts.map(classifyText);
+  }
+};
@@ -0,0 +1,85 @@
+import denylistClassifier from './denylist.js';
+import llmClassifier from './llm.js';
+import { ValidationError } from '../validation.js';
+
+// Every moderation classifier exposes the same shape:
+//   name                       - identifier used in config
+//   isConfigured()             - whether it has what it needs (API keys etc.)
+//   classify(texts, options)   - resolves to one verdict per text, in order:
+//                                { flagged, reasons: [...], rewrite } where `rewrite` is the
+//                                text with the problem taken out, or null when it can't be;
+//                                `options.signal` aborts it
+const classifiers = {
+  [denylistClassifier.name]: denylistClassifier,
+  [llmClassifier.name]: llmClassifier,
+  none: {
+    name: 'none',
+    isConfigured: () => true,
+    classify: async texts => texts.map(() => ({ flagged: false, reasons: [], rewrite: null }))
+  }
+};
+
+export const MODERATION_ACTIONS = ['block', 'rewrite'];
+
+// Moderation settings from the environment
+//   MODERATION_CLASSIFIER   denylist (default), llm (the LLM_PROVIDER model) or none
+//   MODERATION_ACTION       block (default) rejects flagged requests; rewrite swaps in the
+//                           classifier's cleaned-up text and only blocks what it can't clean
+export function getModerationPolicy(env = process.env) {
+  const policy = {
+    classifier: env.MODERATION_CLASSIFIER || denylistClassifier.name,
+    action: env.MODERATION_ACTION || 'block'
+  };
+  getModerationClassifier(policy.classifier);
+  if (!MODERATION_ACTIONS.includes(policy.action)) {
+    throw new Error(`Unknown moderation action "${policy.action}". Use one of: ${MODERATION_ACTIONS.join(', ')}`);
+  }
+  return policy;
+}
+
+export function getModerationClassifier(name) {
+  const classifier = classifiers[name];
+  if (!classifier) {
+    throw new Error(`Unknown moderation classifier "${name}". Available: ${Object.keys(classifiers).join(', ')}`);
+  }
+  return classifier;
+}
+
+// Check the texts of a request, given as { field: text } with the same field names
+// validation errors use. Resolves to { field: rewritten text } for what the policy
+// rewrote; throws a ValidationError for flagged fields it doesn't rewrite. Any other
+// error means the classifier couldn't give an answer, and the request should not go ahead.
+export async function moderate(fields, { policy, signal } = {}) {
+  const entries = Object.entries(fields).filter(([, text]) => typeof text === 'string' && text.trim());
+  if (!entries.length) {
+    return {};
+  }
+  const classifier = getModerationClassifier(policy.classifier);
+  if (!classifier.isConfigured()) {
+    throw new Error(`Moderation classifier "${classifier.name}" is not configured`);
+  }
+
+  const verdicts = await classifier.classify(entries.map(([, text]) => text), { signal });
+  const blocked = [];
+  const rewrites = {};
+  entries.forEach(([field, text], i) => {
+    const { flagged, reasons = [], rewrite } = verdicts[i];
+    if (!flagged) {
+      return;
+    }
+    if (policy.action === 'rewrite' && rewrite?.trim() && rewrite.trim() !== text.trim()) {
+      rewrites[field] = rewrite.trim();
+      return;
+    }
+    blocked.push({ field, message: `was blocked by moderation${reasons.length ? `: ${reasons.join('; ')}` : ''}` });
+  });
+
+  if (blocked.length) {
+    console.log(`Moderation (${classifier.name}) blocked ${blocked.map(({ field }) => field).join(', ')}`);
+    throw new ValidationError(blocked);
+  }
+  if (Object.keys(rewrites).length) {
+    console.log(`Moderation (${classifier.name}) rewrote ${Object.keys(rewrites).join(', ')}`);
+  }
+  return rewrites;
+}
@@ -0,0 +1,44 @@
+import { getLlmClient } from '../llm/index.js';
+import { extractJson } from '../planner.js';
+
+// Asks the configured LLM (LLM_PROVIDER) to judge every text in one request
+
+function buildInstructions(texts) {
+  return [
+    'You moderate prompts for an app that turns text into AI-generated images, music and captions.',
+    'Flag a text if it asks for sexual content involving minors, sexually explicit content, graphic gore,',
+    'hate against a protected group, encouragement of self-harm, or content meant to harass a real person.',
+    'Ordinary artistic themes such as sadness, darkness, conflict or mild violence are fine.',
+    '',
+    'Reply with JSON only, no commentary, in this shape, with one result per text in the same order:',
+    '{ "results": [{ "flagged": true, "reasons": ["short reason"], "rewrite": "the text with the problem removed, or null" }] }',
+    '',
+    'The texts, as a JSON array:',
+    JSON.stringify(texts)
+  ].join('\n');
+}
+
+export default {
+  name: 'llm',
+
+  isConfigured() {
+    try {
+      return getLlmClient().isConfigured();
+    } catch (error) {
+      return false;
+    }
+  },
+
+  async classify(texts, { signal } = {}) {
+    const reply = await getLlmClient().complete(buildInstructions(texts), { signal });
+    const { results } = extractJson(reply);
+    if (!Array.isArray(results) || results.length !== texts.length) {
+      throw new Error(`Model reply had ${Array.isArray(results) ? results.length : 'no'} results for ${texts.length} texts`);
+    }
+    return results.map(result => ({
+      flagged: result?.flagged === true,
+      reasons: Array.isArray(result?.reasons) ? result.reasons.filter(reason => typeof reason === 'string') : [],
+      rewrite: typeof result?.rewrite === 'string' ? result.rewrite : null
+    }));
+  }
+};
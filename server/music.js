@@ -0,0 +1,152 @@
+import axios from 'axios';
+import ffmpeg from 'fluent-ffmpeg';
+import * as fs from 'fs/promises';
+import path from 'path';
+import { runFfmpeg } from './ffmpeg.js';
+import { isFreesoundConfigured, findSoundForPrompt, downloadPreview } from './freesound.js';
+
+export const AUDIO_SOURCES = {
+  MUSICGEN: 'musicgen',
+  FREESOUND: 'freesound',
+  UPLOAD: 'upload'
+};
+
+export function getMusicServerUrl() {
+  return (process.env.MUSIC_SERVER_URL || 'http://127.0.0.1:5001').replace(/\/$/, '');
+}
+
+// Longest piece of music the music server makes, in seconds (MAX_DURATION, 30 unless set).
+// music_server.py reads the same setting and clamps to it, so set it for both.
+export function getMaxMusicDuration(env = process.env) {
+  return Number(env.MAX_DURATION) || 30;
+}
+
+// Function to generate music using AudioCraft.
+// `raw` prompts are already written for music and skip the server's "background music" wrapper.
+export async function generateMusicFromPrompt(prompt, duration, { workDir, signal, raw = false } = {}) {
+  try {
+    console.log('Attempting to generate music with prompt:', prompt);
+
+    // The music server takes whole seconds. A storyboard's scenes can add up to a fraction,
+    // so round up to keep the music running under the last scene.
+    const seconds = Math.ceil(Math.round(duration * 100) / 100);
+    const response = await axios({
+      method: 'post',
+      url: `${getMusicServerUrl()}/generate-music`,
+      data: { prompt, duration: seconds, raw },
+      responseType: 'arraybuffer',
+      timeout: 600000, // Increase timeout to 10 minutes
+      signal,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    // Save the audio file
+    const outputPath = path.join(workDir, `music_${Date.now()}.wav`);
+    await fs.writeFile(outputPath, response.data);
+    console.log('Music saved to:', outputPath);
+
+    return outputPath;
+  } catch (error) {
+    console.error('Music generation error:', error.message);
+    throw error;
+  }
+}
+
+// Loop a short clip (or trim a long one) to exactly `duration` seconds, fading out the tail
+export async function fitAudioToDuration(inputPath, duration, outputPath, { signal } = {}) {
+  const fadeLength = Math.min(1, duration / 4);
+  const command = ffmpeg()
+    .input(inputPath)
+    .inputOptions(['-stream_loop', '-1'])
+    .audioFilters(`afade=t=out:st=${duration - fadeLength}:d=${fadeLength}`)
+    .duration(duration)
+    .audioChannels(2)
+    .audioFrequency(44100)
+    .output(outputPath);
+
+  await runFfmpeg(command, { signal });
+  return outputPath;
+}
+
+async function fetchFreesoundTrack(prompt, duration, { workDir, signal }) {
+  const match = await findSoundForPrompt(prompt, { signal });
+  if (!match) {
+    throw new Error('No usable sound found on Freesound');
+  }
+
+  const { sound, query } = match;
+  const previewPath = await downloadPreview(sound, workDir, { signal });
+  const audioPath = await fitAudioToDuration(
+    previewPath,
+    duration,
+    path.join(workDir, `freesound_${sound.id}_${duration}s.wav`),
+    { signal }
+  );
+  await fs.unlink(previewPath).catch(() => {});
+
+  return {
+    audioPath,
+    audioSource: {
+      type: AUDIO_SOURCES.FREESOUND,
+      query,
+      soundId: sound.id,
+      name: sound.name,
+      username: sound.username,
+      license: sound.license
+    }
+  };
+}
+
+// Copy the audio track out of a rendered video without re-encoding it. Matroska
+// holds whichever codec the video used (AAC or Opus).
+export async function extractSoundtrack(videoPath, outputPath, { signal } = {}) {
+  const command = ffmpeg(videoPath)
+    .noVideo()
+    .outputOptions(['-sn', '-c:a', 'copy'])
+    .output(outputPath);
+
+  await runFfmpeg(command, { signal });
+  return outputPath;
+}
+
+// Music server first, Freesound when it fails or is down. A `musicPrompt` (genre and mood
+// from an idea plan) is sent as-is instead of the video prompt. Generated music goes
+// through `cache` (an asset cache session) when one is given; Freesound results don't.
+// Resolves to { audioPath, audioSource } describing where the soundtrack came from.
+export async function createSoundtrack(prompt, duration, { musicPrompt, workDir, signal, cache, onProgress = () => {} } = {}) {
+  try {
+    const raw = Boolean(musicPrompt);
+    const generate = () => generateMusicFromPrompt(musicPrompt || prompt, duration, { workDir, signal, raw });
+    const audioPath = cache
+      ? await cache.fetch(
+        'music',
+        { server: getMusicServerUrl(), prompt: musicPrompt || prompt, duration, raw },
+        path.join(workDir, `music_${Date.now()}.wav`),
+        generate
+      )
+      : await generate();
+    return {
+      audioPath,
+      audioSource: { type: AUDIO_SOURCES.MUSICGEN, prompt: musicPrompt || prompt, raw: Boolean(musicPrompt) }
+    };
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    if (!isFreesoundConfigured()) {
+      throw new Error(`Music generation failed and no Freesound API key is set: ${error.message}`);
+    }
+  }
+
+  onProgress({ stage: 'Music server unavailable, searching Freesound...' });
+  try {
+    return await fetchFreesoundTrack(musicPrompt || prompt, duration, { workDir, signal });
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    throw new Error(`Music generation and Freesound fallback both failed: ${error.message}`);
+  }
+}
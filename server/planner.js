@@ -0,0 +1,92 @@
+import { SHOT_TYPES, MAX_SCENES, DEFAULT_SCENE_SECONDS, evenSceneDurations } from './storyboard.js';
+import { text } from './validation.js';
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_MUSIC_PROMPT_LENGTH = 300;
+const MAX_STYLE_LENGTH = 300;
+
+function buildInstructions(idea, sceneCount) {
+  return [
+    'You are planning a short music video made of AI-generated still images set to AI-generated music.',
+    `Expand this idea into a plan with exactly ${sceneCount} scenes: "${idea}"`,
+    '',
+    'Reply with JSON only, no commentary, in this shape:',
+    '{',
+    '  "title": "short video title",',
+    '  "music": { "genre": "one or two genres", "mood": "a few words on mood, tempo and instrumentation" },',
+    '  "style": "comma-separated visual style keywords shared by every image",',
+    '  "scenes": [{ "prompt": "one-sentence description of what the image shows", "shotType": "..." }]',
+    '}',
+    '',
+    `shotType must be one of: ${Object.keys(SHOT_TYPES).join(', ')}.`,
+    'Scene prompts describe a single still image each, with no camera moves and no text in the image.'
+  ].join('\n');
+}
+
+// Models like to wrap JSON in a markdown fence or a sentence; take the outermost object
+export function extractJson(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Model reply contained no JSON object');
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`Model reply was not valid JSON: ${error.message}`);
+  }
+}
+
+function cleanText(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+// Music request from the plan's genre and mood; empty when the plan has neither,
+// so the video prompt is used instead
+export function buildMusicPrompt({ genre, mood }) {
+  if (!genre && !mood) {
+    return '';
+  }
+  return [genre, mood, 'instrumental'].filter(Boolean).join(', ');
+}
+
+// Have the LLM turn a short idea into a plan for a `duration`-second video:
+// { title, genre, mood, musicPrompt, style, scenes }, with scenes in storyboard form
+export async function writePlan(idea, duration, { client, signal } = {}) {
+  const sceneCount = Math.min(Math.max(Math.ceil(duration / DEFAULT_SCENE_SECONDS), 1), MAX_SCENES);
+  const reply = await client.complete(buildInstructions(idea, sceneCount), { signal });
+  const plan = extractJson(reply);
+
+  // Keep whatever usable scenes came back, even if the count is off
+  const prompts = (Array.isArray(plan.scenes) ? plan.scenes : [])
+    .map(scene => ({
+      prompt: cleanText(scene?.prompt, 500),
+      shotType: SHOT_TYPES[scene?.shotType] ? scene.shotType : 'medium'
+    }))
+    .filter(scene => scene.prompt)
+    .slice(0, MAX_SCENES);
+  if (!prompts.length) {
+    throw new Error('Model reply had no scenes');
+  }
+
+  const durations = evenSceneDurations(duration, prompts.length);
+  const genre = cleanText(plan.music?.genre, 100);
+  const mood = cleanText(plan.music?.mood, 200);
+
+  return {
+    title: cleanText(plan.title, MAX_TITLE_LENGTH) || idea.slice(0, MAX_TITLE_LENGTH),
+    genre,
+    mood,
+    musicPrompt: buildMusicPrompt({ genre, mood }).slice(0, MAX_MUSIC_PROMPT_LENGTH),
+    style: cleanText(plan.style, MAX_STYLE_LENGTH),
+    scenes: prompts.map((scene, i) => ({ ...scene, duration: durations[i], negativePrompt: '' }))
+  };
+}
+
+// Rules for the plan fields a client sends back with a generation request (see
+// validation.js); anything left out is an empty string.
+export const PLAN_FIELD_RULES = {
+  title: text({ maxLength: MAX_TITLE_LENGTH }),
+  musicPrompt: text({ maxLength: MAX_MUSIC_PROMPT_LENGTH }),
+  style: text({ maxLength: MAX_STYLE_LENGTH })
+};
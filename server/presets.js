@@ -0,0 +1,104 @@
+import path from 'path';
+
+// Output formats for the platforms we publish to. Stills are generated at the
+// closest size the image provider supports and scaled and cropped to fill the frame.
+export const OUTPUT_PRESETS = {
+  square: { label: 'Square 1:1 (1080×1080)', width: 1080, height: 1080, container: 'mp4', videoBitrate: '6M' },
+  vertical: { label: 'Vertical 9:16 (1080×1920)', width: 1080, height: 1920, container: 'mp4', videoBitrate: '8M' },
+  horizontal: { label: 'Horizontal 16:9 (1920×1080)', width: 1920, height: 1080, container: 'mp4', videoBitrate: '8M' },
+  webm: { label: 'Web 16:9 (1920×1080, WebM/VP9)', width: 1920, height: 1080, container: 'webm', videoBitrate: '5M' }
+};
+
+export const DEFAULT_OUTPUT_PRESET = 'square';
+
+const CONTAINERS = {
+  mp4: {
+    extension: '.mp4',
+    mimeType: 'video/mp4',
+    subtitleCodec: 'mov_text',
+    // CRF for quality, capped so busy scenes don't blow past the platform limits
+    outputOptions: ({ videoBitrate }) => [
+      '-c:v', 'libx264',
+      '-preset', 'medium',
+      '-crf', '23',
+      '-maxrate', videoBitrate,
+      '-bufsize', `${parseInt(videoBitrate, 10) * 2}M`,
+      '-c:a', 'aac',
+      '-b:a', '192k',
+      '-movflags', '+faststart'
+    ]
+  },
+  webm: {
+    extension: '.webm',
+    mimeType: 'video/webm',
+    subtitleCodec: 'webvtt',
+    // Constrained quality: CRF with the bitrate as a ceiling
+    outputOptions: ({ videoBitrate }) => [
+      '-c:v', 'libvpx-vp9',
+      '-crf', '32',
+      '-b:v', videoBitrate,
+      '-deadline', 'good',
+      '-cpu-used', '4',
+      '-row-mt', '1',
+      '-c:a', 'libopus',
+      '-b:a', '128k'
+    ]
+  }
+};
+
+// Longest side of generated stills for providers that take any size
+const MAX_GENERATION_SIDE = 1024;
+
+export function getOutputPreset(name = DEFAULT_OUTPUT_PRESET) {
+  const preset = OUTPUT_PRESETS[name];
+  if (!preset) {
+    throw new Error(`Unknown output preset "${name}". Use one of: ${Object.keys(OUTPUT_PRESETS).join(', ')}`);
+  }
+  return { name, ...preset };
+}
+
+export function getContainer(preset) {
+  return CONTAINERS[preset.container];
+}
+
+// ffmpeg output options (codecs, bitrates) for a preset
+export function encoderOptions(preset) {
+  return getContainer(preset).outputOptions(preset);
+}
+
+// Content type of a rendered video, from its file extension
+export function videoMimeType(filename) {
+  const extension = path.extname(filename).toLowerCase();
+  const container = Object.values(CONTAINERS).find(c => c.extension === extension);
+  return container?.mimeType || 'video/mp4';
+}
+
+// Size to generate stills at for `preset`: the provider's supported size closest in
+// aspect ratio, or the preset's aspect ratio scaled down when the provider takes any size
+export function generationSize(provider, { width, height }) {
+  const target = Math.log(width / height);
+
+  if (!provider.sizes) {
+    const scale = Math.min(MAX_GENERATION_SIDE / Math.max(width, height), 1);
+    return {
+      width: Math.round((width * scale) / 8) * 8,
+      height: Math.round((height * scale) / 8) * 8
+    };
+  }
+
+  const [best] = [...provider.sizes].sort((a, b) =>
+    Math.abs(Math.log(a.width / a.height) - target) - Math.abs(Math.log(b.width / b.height) - target)
+  );
+  return best;
+}
+
+// Presets as listed to clients
+export function listOutputPresets() {
+  return Object.entries(OUTPUT_PRESETS).map(([name, { label, width, height, container }]) => ({
+    name,
+    label,
+    width,
+    height,
+    container
+  }));
+}
@@ -0,0 +1,66 @@
+// Timeline edits for saved projects. A project's timeline is its ordered frames plus
+// `cutTimes`, where frame i is on screen from cutTimes[i] until the next cut (or the
+// end of the soundtrack).
+
+// How long each frame is on screen
+export function frameDurations(cutTimes, duration) {
+  return cutTimes.map((start, i) => (cutTimes[i + 1] ?? duration) - start);
+}
+
+function cutTimesFromDurations(durations) {
+  let start = 0;
+  return durations.map(length => {
+    const cut = start;
+    start += length;
+    return Math.round(cut * 1000) / 1000;
+  });
+}
+
+// Reorder and drop frames. `order` lists the indices of the frames to keep, in their
+// new order. Frames keep their screen time when they move, so beat-synced cuts stay on
+// the beat; a dropped frame's time goes to the frame before it (or after it, for the
+// first) in the original order. Throws with what is wrong with `order`.
+export function rearrangeFrames(frames, cutTimes, duration, order) {
+  if (!Array.isArray(order) || !order.length) {
+    throw new Error('must be a non-empty list of frame indices');
+  }
+  for (const index of order) {
+    if (!Number.isInteger(index) || index < 0 || index >= frames.length) {
+      throw new Error(`has no frame ${index}. Use indices from 0 to ${frames.length - 1}`);
+    }
+  }
+  if (new Set(order).size !== order.length) {
+    throw new Error('lists a frame more than once');
+  }
+
+  const durations = frameDurations(cutTimes, duration);
+  const kept = new Set(order);
+  frames.forEach((frame, i) => {
+    if (kept.has(i)) {
+      return;
+    }
+    let heir = i - 1;
+    while (heir >= 0 && !kept.has(heir)) {
+      heir -= 1;
+    }
+    if (heir < 0) {
+      heir = i + 1;
+      while (!kept.has(heir)) {
+        heir += 1;
+      }
+    }
+    durations[heir] += durations[i];
+  });
+
+  return {
+    frames: order.map(index => frames[index]),
+    cutTimes: cutTimesFromDurations(order.map(index => durations[index])),
+    dropped: frames.filter((frame, i) => !kept.has(i))
+  };
+}
+
+// Stretch or squeeze the cuts to a soundtrack of a different length
+export function scaleCutTimes(cutTimes, fromDuration, toDuration) {
+  const ratio = toDuration / fromDuration;
+  return cutTimes.map(start => Math.round(start * ratio * 1000) / 1000);
+}
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { frameDurations, rearrangeFrames, scaleCutTimes } from './projects.js';
+
+const frames = ['a', 'b', 'c', 'd'].map(file => ({ file }));
+// a: 0-2, b: 2-5, c: 5-6, d: 6-10
+const cutTimes = [0, 2, 5, 6];
+const duration = 10;
+
+test('frames keep their screen time when they move', () => {
+  const result = rearrangeFrames(frames, cutTimes, duration, [3, 0, 2, 1]);
+
+  assert.deepEqual(result.frames.map(frame => frame.file), ['d', 'a', 'c', 'b']);
+  assert.deepEqual(result.cutTimes, [0, 4, 6, 7]);
+  assert.deepEqual(frameDurations(result.cutTimes, duration), [4, 2, 1, 3]);
+  assert.deepEqual(result.dropped, []);
+});
+
+test('a dropped frame gives its time to the kept frame before it', () => {
+  const result = rearrangeFrames(frames, cutTimes, duration, [0, 3]);
+
+  // b and c both go to a
+  assert.deepEqual(result.frames.map(frame => frame.file), ['a', 'd']);
+  assert.deepEqual(frameDurations(result.cutTimes, duration), [6, 4]);
+  assert.deepEqual(result.dropped.map(frame => frame.file), ['b', 'c']);
+});
+
+test('a dropped first frame gives its time to the next kept one', () => {
+  const result = rearrangeFrames(frames, cutTimes, duration, [2, 3]);
+
+  assert.deepEqual(frameDurations(result.cutTimes, duration), [6, 4]);
+  assert.deepEqual(result.dropped.map(frame => frame.file), ['a', 'b']);
+});
+
+test('the timeline still covers the whole soundtrack', () => {
+  const result = rearrangeFrames(frames, [0, 1.111, 2.222, 3.333], 4.5, [2, 0]);
+
+  assert.equal(result.cutTimes[0], 0);
+  assert.equal(Math.round(frameDurations(result.cutTimes, 4.5).reduce((total, length) => total + length, 0) * 1000) / 1000, 4.5);
+});
+
+test('a bad order is refused with what is wrong', () => {
+  assert.throws(() => rearrangeFrames(frames, cutTimes, duration, []), { message: 'must be a non-empty list of frame indices' });
+  assert.throws(() => rearrangeFrames(frames, cutTimes, duration, '0,1'), { message: 'must be a non-empty list of frame indices' });
+  assert.throws(() => rearrangeFrames(frames, cutTimes, duration, [0, 4]), { message: 'has no frame 4. Use indices from 0 to 3' });
+  assert.throws(() => rearrangeFrames(frames, cutTimes, duration, [0, 1.5]), { message: 'has no frame 1.5. Use indices from 0 to 3' });
+  assert.throws(() => rearrangeFrames(frames, cutTimes, duration, [1, 1]), { message: 'lists a frame more than once' });
+});
+
+test('cuts stretch and squeeze with the soundtrack', () => {
+  assert.deepEqual(scaleCutTimes(cutTimes, 10, 20), [0, 4, 10, 12]);
+  assert.deepEqual(scaleCutTimes([0, 1, 2], 3, 2), [0, 0.667, 1.333]);
+});
@@ -0,0 +1,76 @@
+// Sliding-window rate limiting for the routes that start paid work. Counts live in
+// memory, so they reset with the server and are per process.
+
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// At most `max` requests per `windowMs` for each key `keyOf(req)` returns; a null key
+// isn't limited. `label` names the limit in the 429 message. Only accepted requests
+// count: a request's place is held while it runs and given back if it is answered with
+// an error, so a rejected one (bad input, no credits, busy) costs nothing.
+export function createRateLimiter({ windowMs, max, keyOf, label }) {
+  // key -> timestamps of the requests still inside the window, oldest first
+  const hits = new Map();
+
+  const recent = (key, now) => {
+    const cutoff = now - windowMs;
+    const times = (hits.get(key) || []).filter(time => time > cutoff);
+    if (times.length) {
+      hits.set(key, times);
+    } else {
+      hits.delete(key);
+    }
+    return times;
+  };
+
+  // Keys nobody has used for a whole window would otherwise stay forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const key of hits.keys()) {
+      recent(key, now);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  // Where `key` stands without counting a request
+  function peek(key) {
+    const now = Date.now();
+    const times = recent(key, now);
+    return {
+      limit: max,
+      windowMinutes: Math.round(windowMs / 60000),
+      remaining: Math.max(max - times.length, 0),
+      resetAt: new Date(times.length ? times[0] + windowMs : now)
+    };
+  }
+
+  function middleware(req, res, next) {
+    const key = keyOf(req);
+    if (key === null || key === undefined) {
+      return next();
+    }
+    const now = Date.now();
+    const times = recent(key, now);
+    if (times.length >= max) {
+      const retryAfter = Math.ceil((times[0] + windowMs - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: `Too many generation requests ${label}: the limit is ${max} per ${Math.round(windowMs / 60000)} minutes. Try again in ${retryAfter} seconds`,
+        retryAfter
+      });
+    }
+    times.push(now);
+    hits.set(key, times);
+    res.on('finish', () => {
+      if (res.statusCode >= 400) {
+        const held = hits.get(key);
+        const index = held ? held.indexOf(now) : -1;
+        if (index !== -1) {
+          held.splice(index, 1);
+        }
+      }
+    });
+    next();
+  }
+
+  return { middleware, peek };
+}
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { createRateLimiter } from './rateLimit.js';
+
+// Just enough of an Express response for the middleware: status, set, json and 'finish'
+function createResponse() {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = () => res;
+  res.json = body => {
+    res.body = body;
+    res.emit('finish');
+    return res;
+  };
+  return res;
+}
+
+// Runs one request through the limiter, answering it with `status` if it gets past.
+// Returns whether it did and the response.
+function request(limiter, status = 202) {
+  const res = createResponse();
+  let passed = false;
+  limiter.middleware({ key: 'user1' }, res, () => {
+    passed = true;
+  });
+  if (passed) {
+    res.status(status).json({});
+  }
+  return { passed, res };
+}
+
+const createLimiter = () => createRateLimiter({ windowMs: 60000, max: 2, keyOf: req => req.key, label: 'for this account' });
+
+test('accepted requests count towards the limit', () => {
+  const limiter = createLimiter();
+  assert.equal(request(limiter).passed, true);
+  assert.equal(request(limiter).passed, true);
+
+  const { passed, res } = request(limiter);
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 429);
+  assert.equal(limiter.peek('user1').remaining, 0);
+});
+
+test('rejected requests give their place back', () => {
+  const limiter = createLimiter();
+  request(limiter, 400);
+  request(limiter, 402);
+  request(limiter, 409);
+
+  assert.equal(limiter.peek('user1').remaining, 2);
+  assert.equal(request(limiter).passed, true);
+  assert.equal(request(limiter).passed, true);
+  assert.equal(request(limiter).passed, false);
+});
+
+test('a request holds its place while it runs', () => {
+  const limiter = createLimiter();
+  const res = createResponse();
+  limiter.middleware({ key: 'user1' }, res, () => {});
+
+  assert.equal(limiter.peek('user1').remaining, 1);
+  res.status(400).json({});
+  assert.equal(limiter.peek('user1').remaining, 2);
+});
+
+test('requests without a key are not limited', () => {
+  const limiter = createLimiter();
+  for (let i = 0; i < 5; i++) {
+    const res = createResponse();
+    let passed = false;
+    limiter.middleware({}, res, () => {
+      passed = true;
+    });
+    assert.equal(passed, true);
+  }
+});
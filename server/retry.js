@@ -0,0 +1,98 @@
+// Retrying flaky API calls (rate limits, server errors, timeouts) with exponential
+// backoff, and running a batch of them a few at a time
+
+// Network errors that usually go away on their own
+const TRANSIENT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN'];
+
+export function isTransientError(error) {
+  const status = error.response?.status;
+  if (status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+// Milliseconds the server asked us to wait in its Retry-After header (seconds or an HTTP date)
+export function retryAfterMs(error) {
+  const header = error.response?.headers?.['retry-after'];
+  if (header === undefined || header === null || header === '') {
+    return null;
+  }
+  const seconds = Number(header);
+  if (!isNaN(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+// Doubling delay with jitter so parallel callers don't retry in lockstep
+export function backoffDelay(attempt, { baseDelayMs = 1000, maxDelayMs = 30000 } = {}) {
+  const delay = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+  return Math.round(delay * (0.5 + Math.random() / 2));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Run `task(attempt)` until it succeeds, retrying transient failures up to `retries`
+// times. A Retry-After from the server replaces the backoff delay; one longer than
+// `maxDelayMs` ends the retries, since waiting that long would stall the whole job.
+// `onRetry({ error, attempt, delay })` is called before each wait.
+export async function withRetry(task, {
+  retries = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  signal,
+  onRetry = () => {}
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (signal?.aborted || attempt >= retries || !isTransientError(error)) {
+        throw error;
+      }
+      const requested = retryAfterMs(error);
+      if (requested !== null && requested > maxDelayMs) {
+        throw error;
+      }
+      const delay = requested ?? backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+      onRetry({ error, attempt: attempt + 1, delay });
+      await sleep(delay, signal);
+    }
+  }
+}
+
+// Call `task(item, index)` for every item with at most `limit` running at once.
+// Resolves to one { value } or { error } per item, in the original order.
+export async function settleWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { value: await task(items[index], index) };
+      } catch (error) {
+        results[index] = { error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
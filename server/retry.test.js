@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { backoffDelay, isTransientError, retryAfterMs, settleWithConcurrency, withRetry } from './retry.js';
+
+// An error shaped like axios's for a response with `status` and `headers`
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+}
+
+// A task that fails with `errors` in turn, then resolves to 'done'
+function flakyTask(errors) {
+  const task = async attempt => {
+    task.attempts.push(attempt);
+    if (attempt < errors.length) {
+      throw errors[attempt];
+    }
+    return 'done';
+  };
+  task.attempts = [];
+  return task;
+}
+
+test('rate limits, server errors, timeouts and dropped connections are transient', () => {
+  assert.equal(isTransientError(httpError(429)), true);
+  assert.equal(isTransientError(httpError(503)), true);
+  assert.equal(isTransientError(httpError(408)), true);
+  assert.equal(isTransientError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.equal(isTransientError(httpError(400)), false);
+  assert.equal(isTransientError(httpError(401)), false);
+  assert.equal(isTransientError(new Error('bad prompt')), false);
+});
+
+test('Retry-After is read as seconds or a date', () => {
+  assert.equal(retryAfterMs(httpError(429, { 'retry-after': '2' })), 2000);
+  assert.equal(retryAfterMs(httpError(429)), null);
+  assert.equal(retryAfterMs(httpError(429, { 'retry-after': 'soon' })), null);
+  const inFiveSeconds = new Date(Date.now() + 5000).toUTCString();
+  const fromDate = retryAfterMs(httpError(503, { 'retry-after': inFiveSeconds }));
+  assert.ok(fromDate > 3000 && fromDate <= 5000);
+  assert.equal(retryAfterMs(httpError(503, { 'retry-after': new Date(0).toUTCString() })), 0);
+});
+
+test('the backoff doubles up to its limit, with jitter of up to half', () => {
+  for (let i = 0; i < 20; i++) {
+    const first = backoffDelay(0, { baseDelayMs: 100 });
+    const third = backoffDelay(2, { baseDelayMs: 100 });
+    const capped = backoffDelay(10, { baseDelayMs: 100, maxDelayMs: 1000 });
+    assert.ok(first >= 50 && first <= 100);
+    assert.ok(third >= 200 && third <= 400);
+    assert.ok(capped >= 500 && capped <= 1000);
+  }
+});
+
+test('transient failures are retried until the task succeeds', async () => {
+  const task = flakyTask([httpError(503), httpError(429, { 'retry-after': '0' })]);
+  const retries = [];
+
+  const result = await withRetry(task, { baseDelayMs: 1, onRetry: ({ attempt, delay }) => retries.push({ attempt, delay }) });
+
+  assert.equal(result, 'done');
+  assert.deepEqual(task.attempts, [0, 1, 2]);
+  assert.equal(retries.length, 2);
+  assert.equal(retries[0].attempt, 1);
+  // The server's Retry-After replaces the backoff
+  assert.deepEqual(retries[1], { attempt: 2, delay: 0 });
+});
+
+test('retries stop at the limit, on a permanent error, or on a wait too long', async () => {
+  const exhausted = flakyTask([httpError(500), httpError(500), httpError(500)]);
+  await assert.rejects(withRetry(exhausted, { retries: 2, baseDelayMs: 1 }), { message: 'Request failed with status code 500' });
+  assert.deepEqual(exhausted.attempts, [0, 1, 2]);
+
+  const permanent = flakyTask([httpError(400)]);
+  await assert.rejects(withRetry(permanent, { baseDelayMs: 1 }), { message: 'Request failed with status code 400' });
+  assert.deepEqual(permanent.attempts, [0]);
+
+  const tooLong = flakyTask([httpError(429, { 'retry-after': '120' })]);
+  await assert.rejects(withRetry(tooLong, { maxDelayMs: 30000 }), { message: 'Request failed with status code 429' });
+  assert.deepEqual(tooLong.attempts, [0]);
+});
+
+test('an abort ends the wait between retries', async () => {
+  const controller = new AbortController();
+  const task = flakyTask([httpError(503), httpError(503)]);
+  setTimeout(() => controller.abort(new Error('Generation cancelled')), 20);
+
+  await assert.rejects(withRetry(task, { baseDelayMs: 60000, maxDelayMs: 60000, signal: controller.signal }), { message: 'Generation cancelled' });
+  assert.deepEqual(task.attempts, [0]);
+});
+
+test('a batch runs a few at a time and settles every item in order', async () => {
+  let running = 0;
+  let mostRunning = 0;
+
+  const results = await settleWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+    running += 1;
+    mostRunning = Math.max(mostRunning, running);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    running -= 1;
+    if (index === 2) {
+      throw new Error('frame 3 failed');
+    }
+    return index;
+  });
+
+  assert.equal(mostRunning, 2);
+  assert.deepEqual(results.map(result => result.value ?? result.error.message), [0, 1, 'frame 3 failed', 3, 4]);
+  assert.deepEqual(await settleWithConcurrency([], 3, async () => 1), []);
+});
@@ -0,0 +1,126 @@
+import { checkFields, number, oneOf, text, ValidationError } from './validation.js';
+
+// Shot types a scene can ask for, and the wording added to its image prompt
+export const SHOT_TYPES = {
+  establishing: 'wide establishing shot, cinematic landscape',
+  medium: 'medium shot, focusing on main subject',
+  closeup: 'close-up shot, showing details',
+  action: 'action shot, dynamic movement',
+  aerial: 'aerial shot, sweeping view from above',
+  lowangle: 'low-angle shot, towering perspective',
+  finale: 'dramatic finale shot'
+};
+
+// Draft storyboards open wide, cycle through these in the middle and end on the finale
+const MIDDLE_SHOTS = ['medium', 'closeup', 'action', 'aerial', 'lowangle'];
+
+const ENHANCERS = [
+  'cinematic lighting',
+  'professional photography',
+  'high detail',
+  '8k resolution',
+  'masterful composition'
+];
+
+export const MAX_SCENES = 60;
+export const MIN_SCENE_DURATION = 0.5;
+export const MAX_SCENE_DURATION = 60;
+export const DEFAULT_SCENE_SECONDS = 2;
+const MAX_SCENE_PROMPT_LENGTH = 1000;
+
+function shotForIndex(index, total) {
+  if (index === 0) {
+    return 'establishing';
+  }
+  if (index === total - 1 && total > 2) {
+    return 'finale';
+  }
+  return MIDDLE_SHOTS[(index - 1) % MIDDLE_SHOTS.length];
+}
+
+// Image prompt for one scene. `style` is a written visual style (from an idea plan)
+// that takes the place of the generic enhancers; `enhancers: false` leaves those out.
+export function buildFramePrompt(scene, { style = '', enhancers = true } = {}) {
+  const parts = [scene.prompt, SHOT_TYPES[scene.shotType] || SHOT_TYPES.establishing];
+  if (style) {
+    parts.push(style);
+  } else if (enhancers) {
+    parts.push(ENHANCERS.join(', '));
+  }
+  return parts.join(', ');
+}
+
+// Length of each scene given their start times and the total duration
+export function sceneDurations(starts, duration) {
+  return starts.map((start, i) => Math.round(((starts[i + 1] ?? duration) - start) * 100) / 100);
+}
+
+// `duration` split into `count` nearly equal scenes that add up to it exactly: whole
+// seconds where there are enough of them, hundredths otherwise. The earlier scenes
+// take the remainder.
+export function evenSceneDurations(duration, count) {
+  const unitsPerSecond = Number.isInteger(duration) && duration >= count ? 1 : 100;
+  const units = Math.round(duration * unitsPerSecond);
+  const base = Math.floor(units / count);
+  const remainder = units - base * count;
+  return Array.from({ length: count }, (_, i) => (base + (i < remainder ? 1 : 0)) / unitsPerSecond);
+}
+
+// A starting storyboard for a single prompt: either one scene per entry of
+// `cutTimes` or one scene every couple of seconds of `duration`
+export function draftStoryboard(prompt, duration, cutTimes = null) {
+  const durations = cutTimes
+    ? sceneDurations(cutTimes, duration)
+    : evenSceneDurations(duration, Math.max(Math.ceil(duration / DEFAULT_SCENE_SECONDS), 1));
+
+  return durations.map((sceneDuration, i) => ({
+    prompt,
+    shotType: shotForIndex(i, durations.length),
+    duration: sceneDuration,
+    negativePrompt: ''
+  }));
+}
+
+// Scene start times for a storyboard played against `totalDuration` seconds of audio.
+// Scenes that would start after the audio ends are dropped; the last one kept runs to the end.
+export function storyboardCutTimes(scenes, totalDuration) {
+  const cutTimes = [];
+  let start = 0;
+  for (const scene of scenes) {
+    if (cutTimes.length && start >= totalDuration - MIN_SCENE_DURATION) {
+      break;
+    }
+    cutTimes.push(Math.round(start * 1000) / 1000);
+    start += scene.duration;
+  }
+  return cutTimes;
+}
+
+// Check a client-supplied storyboard; returns the cleaned scenes or throws a
+// ValidationError naming each bad scene field, such as `[2].duration`
+export function parseStoryboard(input) {
+  const scenes = typeof input === 'string' ? JSON.parse(input) : input;
+
+  if (!Array.isArray(scenes) || !scenes.length) {
+    throw new Error('must be a non-empty list of scenes');
+  }
+  if (scenes.length > MAX_SCENES) {
+    throw new Error(`can have at most ${MAX_SCENES} scenes`);
+  }
+
+  const errors = [];
+  const cleaned = scenes.map((scene, i) => {
+    const { values, errors: sceneErrors } = checkFields({
+      prompt: text({ required: true, maxLength: MAX_SCENE_PROMPT_LENGTH }),
+      shotType: oneOf(Object.keys(SHOT_TYPES), { fallback: 'establishing' }),
+      duration: number({ required: true, min: MIN_SCENE_DURATION, max: MAX_SCENE_DURATION }),
+      negativePrompt: text({ maxLength: MAX_SCENE_PROMPT_LENGTH })
+    }, scene && typeof scene === 'object' ? scene : {});
+    errors.push(...sceneErrors.map(({ field, message }) => ({ field: `[${i}].${field}`, message })));
+    return values;
+  });
+  if (errors.length) {
+    throw new ValidationError(errors);
+  }
+  return cleaned;
+}
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ValidationError } from './validation.js';
+import {
+  buildFramePrompt,
+  draftStoryboard,
+  evenSceneDurations,
+  parseStoryboard,
+  sceneDurations,
+  storyboardCutTimes,
+  SHOT_TYPES,
+  MAX_SCENES
+} from './storyboard.js';
+
+const sum = values => Math.round(values.reduce((total, value) => total + value, 0) * 100) / 100;
+
+test('even scenes are whole seconds that add up to the duration', () => {
+  assert.deepEqual(evenSceneDurations(10, 3), [4, 3, 3]);
+  assert.deepEqual(evenSceneDurations(30, 15), Array(15).fill(2));
+});
+
+test('even scenes fall back to hundredths when seconds would not do', () => {
+  assert.deepEqual(evenSceneDurations(7.5, 4), [1.88, 1.88, 1.87, 1.87]);
+  assert.deepEqual(evenSceneDurations(3, 4), [0.75, 0.75, 0.75, 0.75]);
+  assert.equal(sum(evenSceneDurations(12.34, 7)), 12.34);
+});
+
+test('a draft has a scene every couple of seconds, opening wide and ending on the finale', () => {
+  const scenes = draftStoryboard('a lighthouse', 9);
+
+  assert.equal(scenes.length, 5);
+  assert.equal(sum(scenes.map(scene => scene.duration)), 9);
+  assert.deepEqual(scenes.map(scene => scene.shotType), ['establishing', 'medium', 'closeup', 'action', 'finale']);
+  assert.ok(scenes.every(scene => scene.prompt === 'a lighthouse' && scene.negativePrompt === ''));
+});
+
+test('a draft follows the cut times it is given', () => {
+  const scenes = draftStoryboard('a lighthouse', 10, [0, 2.5, 6]);
+
+  assert.deepEqual(scenes.map(scene => scene.duration), [2.5, 3.5, 4]);
+  assert.deepEqual(sceneDurations([0, 1.333, 2.666], 4), [1.33, 1.33, 1.33]);
+});
+
+test('cut times stop where the audio ends', () => {
+  const scenes = [{ duration: 3 }, { duration: 3 }, { duration: 3 }, { duration: 3 }];
+
+  assert.deepEqual(storyboardCutTimes(scenes, 12), [0, 3, 6, 9]);
+  assert.deepEqual(storyboardCutTimes(scenes, 7), [0, 3, 6]);
+  // A scene that would start in the last half second is dropped
+  assert.deepEqual(storyboardCutTimes(scenes, 6.4), [0, 3]);
+});
+
+test('a frame prompt adds the shot and either the style or the enhancers', () => {
+  const scene = { prompt: 'a fox', shotType: 'aerial' };
+
+  assert.match(buildFramePrompt(scene), new RegExp(`^a fox, ${SHOT_TYPES.aerial}, cinematic lighting`));
+  assert.equal(buildFramePrompt(scene, { style: 'watercolour' }), `a fox, ${SHOT_TYPES.aerial}, watercolour`);
+  assert.equal(buildFramePrompt({ prompt: 'a fox' }, { enhancers: false }), `a fox, ${SHOT_TYPES.establishing}`);
+});
+
+test('a storyboard is cleaned, from JSON text too', () => {
+  const scenes = parseStoryboard(JSON.stringify([{ prompt: '  a fox ', duration: '2.5' }]));
+
+  assert.deepEqual(scenes, [{ prompt: 'a fox', shotType: 'establishing', duration: 2.5, negativePrompt: '' }]);
+});
+
+test('every bad scene field is named', () => {
+  assert.throws(() => parseStoryboard([{ prompt: 'ok', duration: 2 }, { shotType: 'dolly', duration: 0.1 }, null]), error => {
+    assert.ok(error instanceof ValidationError);
+    assert.deepEqual(error.fields.map(({ field }) => field), [
+      '[1].prompt',
+      '[1].shotType',
+      '[1].duration',
+      '[2].prompt',
+      '[2].duration'
+    ]);
+    return true;
+  });
+});
+
+test('a storyboard needs between one scene and the maximum', () => {
+  assert.throws(() => parseStoryboard([]), { message: 'must be a non-empty list of scenes' });
+  assert.throws(() => parseStoryboard({ prompt: 'a fox' }), { message: 'must be a non-empty list of scenes' });
+  const tooMany = Array.from({ length: MAX_SCENES + 1 }, () => ({ prompt: 'a fox', duration: 1 }));
+  assert.throws(() => parseStoryboard(tooMany), { message: `can have at most ${MAX_SCENES} scenes` });
+});
@@ -0,0 +1,59 @@
+import ffmpeg from 'fluent-ffmpeg';
+import * as fs from 'fs/promises';
+import { runFfmpeg, probeMedia } from './ffmpeg.js';
+
+const POSTER_WIDTH = 640;
+const PREVIEW_WIDTH = 320;
+const PREVIEW_SECONDS = 4;
+const PREVIEW_FPS = 12;
+
+// Width, height, real duration, size and audio presence of a rendered video, from ffprobe
+export async function readVideoMetadata(videoPath) {
+  const { duration, hasAudio, streams, format } = await probeMedia(videoPath);
+  const video = streams.find(stream => stream.codec_type === 'video');
+  return {
+    width: video?.width || null,
+    height: video?.height || null,
+    duration,
+    hasAudio,
+    fileSize: Number(format?.size) || (await fs.stat(videoPath)).size
+  };
+}
+
+// Poster JPEG: one frame a little way in, so it isn't the black first frame of a fade
+export async function createPoster(videoPath, posterPath, { duration, signal } = {}) {
+  const command = ffmpeg(videoPath)
+    .seekInput(Math.min(1, duration / 2))
+    .frames(1)
+    .videoFilters(`scale='min(${POSTER_WIDTH},iw)':-2`)
+    .outputOptions(['-q:v', '3'])
+    .output(posterPath);
+
+  await runFfmpeg(command, { signal });
+  return posterPath;
+}
+
+// Short silent low-resolution MP4 for hover previews, taken from early in the video
+// but never running past its end
+export async function createPreview(videoPath, previewPath, { duration, signal } = {}) {
+  const length = Math.min(PREVIEW_SECONDS, duration);
+  const start = Math.max(Math.min(duration * 0.2, duration - length), 0);
+
+  const command = ffmpeg(videoPath)
+    .seekInput(start)
+    .duration(length)
+    .noAudio()
+    .videoFilters([`scale='min(${PREVIEW_WIDTH},iw)':-2`, `fps=${PREVIEW_FPS}`])
+    .outputOptions([
+      '-sn',
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-crf', '30',
+      '-pix_fmt', 'yuv420p',
+      '-movflags', '+faststart'
+    ])
+    .output(previewPath);
+
+  await runFfmpeg(command, { signal });
+  return previewPath;
+}
@@ -0,0 +1,58 @@
+import multer from 'multer';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { existsSync, mkdirSync } from 'fs';
+import { fieldError, sendValidationError } from './validation.js';
+
+export const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.flac', '.ogg'];
+export const CAPTION_EXTENSIONS = ['.lrc', '.srt', '.vtt', '.txt'];
+const MAX_AUDIO_UPLOAD_BYTES = 100 * 1024 * 1024;
+export const MAX_CAPTION_UPLOAD_BYTES = 1024 * 1024;
+
+// Multipart parser for a soundtrack sent in the `audio` field and a lyrics or caption
+// file in the `captions` field. Files land in `uploadDir` and show up in `req.files`;
+// the job moves the soundtrack into its own temp directory.
+export function createMediaUpload(uploadDir) {
+  if (!existsSync(uploadDir)) {
+    mkdirSync(uploadDir, { recursive: true });
+  }
+
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: uploadDir,
+      filename: (req, file, cb) => {
+        cb(null, `upload_${randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
+      }
+    }),
+    limits: { fileSize: MAX_AUDIO_UPLOAD_BYTES, files: 2 },
+    fileFilter: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      if (file.fieldname === 'captions' && !CAPTION_EXTENSIONS.includes(extension)) {
+        cb(fieldError('captions', `has an unsupported format "${extension || file.mimetype}". Use LRC, SRT, VTT or TXT`));
+        return;
+      }
+      if (file.fieldname === 'audio' && !AUDIO_EXTENSIONS.includes(extension)) {
+        cb(fieldError('audio', `has an unsupported format "${extension || file.mimetype}". Use MP3, WAV, FLAC or OGG`));
+        return;
+      }
+      cb(null, true);
+    }
+  }).fields([
+    { name: 'audio', maxCount: 1 },
+    { name: 'captions', maxCount: 1 }
+  ]);
+
+  // Multer errors (bad format, too large) are the client's fault, so answer 400
+  return (req, res, next) => {
+    upload(req, res, err => {
+      if (err instanceof multer.MulterError) {
+        const message = err.code === 'LIMIT_FILE_SIZE' ? `must be at most ${MAX_AUDIO_UPLOAD_BYTES / 1024 / 1024} MB` : err.message;
+        return sendValidationError(res, fieldError(err.field || 'files', message));
+      }
+      if (err) {
+        return sendValidationError(res, err);
+      }
+      next();
+    });
+  };
+}
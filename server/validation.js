@@ -0,0 +1,168 @@
+// Request checking. A schema maps each field to a rule: a function that turns the raw
+// value into what the route works with, or throws with what's wrong with it. All fields
+// are checked before anything is reported, so a client hears about every mistake at once:
+//   400 { error: 'duration must be from 5 to 30; prompt is required',
+//         fields: [{ field: 'duration', message: 'must be from 5 to 30' }, ...] }
+
+export class ValidationError extends Error {
+  constructor(fields) {
+    super(fields.map(({ field, message }) => `${field} ${message}`).join('; '));
+    this.fields = fields;
+  }
+}
+
+// Throw as a ValidationError for a single field
+export function fieldError(field, message) {
+  return new ValidationError([{ field, message }]);
+}
+
+// What a client sends when it leaves a field out: JSON null, or an empty form field
+export function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Run every rule in `schema` over `input`. Returns the parsed values and the problems
+// found, for callers with further checks to add before reporting.
+export function checkFields(schema, input = {}) {
+  const values = {};
+  const errors = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    try {
+      values[field] = rule(input[field]);
+    } catch (error) {
+      errors.push(...(error instanceof ValidationError
+        ? error.fields.map(nested => ({ ...nested, field: `${field}${nested.field}` }))
+        : [{ field, message: error.message }]));
+    }
+  }
+  return { values, errors };
+}
+
+// The parsed values of `input`; throws a ValidationError listing every bad field.
+// With `allowUnknown: false`, fields the schema doesn't know are errors too.
+export function validate(schema, input = {}, { allowUnknown = true } = {}) {
+  const { values, errors } = checkFields(schema, input);
+  if (!allowUnknown) {
+    Object.keys(input)
+      .filter(field => !(field in schema))
+      .forEach(field => errors.push({ field, message: 'is not a recognised field' }));
+  }
+  if (errors.length) {
+    throw new ValidationError(errors);
+  }
+  return values;
+}
+
+// The 400 for a ValidationError. Anything else went wrong on our side.
+export function sendValidationError(res, error) {
+  if (!(error instanceof ValidationError)) {
+    console.error('Request check failed:', error);
+    return res.status(500).json({ error: error.message });
+  }
+  return res.status(400).json({ error: error.message, fields: error.fields });
+}
+
+// Text, trimmed. Missing text is '' unless `required`.
+export function text({ required = false, minLength = 0, maxLength, pattern, patternMessage } = {}) {
+  return value => {
+    if (isMissing(value)) {
+      if (required) {
+        throw new Error('is required');
+      }
+      return '';
+    }
+    if (typeof value !== 'string') {
+      throw new Error('must be text');
+    }
+    const trimmed = value.trim();
+    if (required && !trimmed) {
+      throw new Error('is required');
+    }
+    if (trimmed.length < minLength) {
+      throw new Error(`must be at least ${minLength} characters`);
+    }
+    if (maxLength !== undefined && trimmed.length > maxLength) {
+      throw new Error(`must be at most ${maxLength} characters`);
+    }
+    if (pattern && !pattern.test(trimmed)) {
+      throw new Error(patternMessage || 'is not in the expected format');
+    }
+    return trimmed;
+  };
+}
+
+// A number, from JSON or the string a form or query string sends. Missing numbers are
+// `fallback` unless `required`.
+export function number({ required = false, min, max, integer = false, fallback } = {}) {
+  return value => {
+    if (isMissing(value)) {
+      if (required) {
+        throw new Error('is required');
+      }
+      return fallback;
+    }
+    const parsed = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed) || (integer && !Number.isInteger(parsed))) {
+      throw new Error(integer ? 'must be a whole number' : 'must be a number');
+    }
+    if ((min !== undefined && parsed < min) || (max !== undefined && parsed > max)) {
+      if (max === undefined) {
+        throw new Error(`must be at least ${min}`);
+      }
+      throw new Error(min === undefined ? `must be at most ${max}` : `must be from ${min} to ${max}`);
+    }
+    return parsed;
+  };
+}
+
+// One of `options` (compared as strings, so a form's "0.5" matches 0.5). Missing values are `fallback`.
+export function oneOf(options, { required = false, fallback } = {}) {
+  return value => {
+    if (isMissing(value)) {
+      if (required) {
+        throw new Error('is required');
+      }
+      return fallback;
+    }
+    const match = options.find(option => String(option) === String(value));
+    if (match === undefined) {
+      throw new Error(`must be one of: ${options.join(', ')}`);
+    }
+    return match;
+  };
+}
+
+// true or false, also as the strings forms send. With `strict`, only real JSON booleans.
+export function boolean({ required = false, strict = false, fallback } = {}) {
+  return value => {
+    if (isMissing(value)) {
+      if (required) {
+        throw new Error('is required');
+      }
+      return fallback;
+    }
+    if (value === true || value === false) {
+      return value;
+    }
+    if (!strict && (value === 'true' || value === 'false')) {
+      return value === 'true';
+    }
+    throw new Error('must be true or false');
+  };
+}
+
+// A value that may arrive as a JSON string (multipart forms), handed to `rule` parsed
+export function json(rule) {
+  return value => {
+    if (typeof value !== 'string' || isMissing(value)) {
+      return rule(value);
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      throw new Error('must be valid JSON');
+    }
+    return rule(parsed);
+  };
+}
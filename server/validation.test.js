@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ValidationError, fieldError, validate, checkFields, sendValidationError, text, number, oneOf, boolean, json } from './validation.js';
+
+// Just enough of an Express response to see what sendValidationError answers
+function createResponse() {
+  return {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+test('every bad field is reported at once', () => {
+  const schema = {
+    prompt: text({ required: true }),
+    duration: number({ required: true, min: 5, max: 30 })
+  };
+
+  assert.throws(() => validate(schema, { duration: 40 }), error => {
+    assert.ok(error instanceof ValidationError);
+    assert.deepEqual(error.fields, [
+      { field: 'prompt', message: 'is required' },
+      { field: 'duration', message: 'must be from 5 to 30' }
+    ]);
+    assert.equal(error.message, 'prompt is required; duration must be from 5 to 30');
+    return true;
+  });
+});
+
+test('unknown fields are errors only when not allowed', () => {
+  const schema = { motion: oneOf(['zoom', 'pan']) };
+
+  assert.deepEqual(validate(schema, { motion: 'pan', extra: 1 }), { motion: 'pan' });
+  assert.throws(() => validate(schema, { extra: 1 }, { allowUnknown: false }), {
+    message: 'extra is not a recognised field'
+  });
+});
+
+test('nested errors are reported under the outer field', () => {
+  const scenes = () => {
+    throw fieldError('[1].duration', 'is required');
+  };
+
+  const { errors } = checkFields({ storyboard: scenes }, { storyboard: [] });
+
+  assert.deepEqual(errors, [{ field: 'storyboard[1].duration', message: 'is required' }]);
+});
+
+test('text is trimmed and checked for length and pattern', () => {
+  assert.equal(text()(undefined), '');
+  assert.equal(text({ maxLength: 5 })('  sea  '), 'sea');
+  assert.throws(() => text({ required: true })('   '), { message: 'is required' });
+  assert.throws(() => text()(12), { message: 'must be text' });
+  assert.throws(() => text({ maxLength: 2 })('sea'), { message: 'must be at most 2 characters' });
+  assert.throws(() => text({ pattern: /^\d+$/, patternMessage: 'must be digits' })('abc'), { message: 'must be digits' });
+});
+
+test('numbers are read from JSON and form strings', () => {
+  assert.equal(number()('12.5'), 12.5);
+  assert.equal(number({ fallback: 3 })(''), 3);
+  assert.throws(() => number()('abc'), { message: 'must be a number' });
+  assert.throws(() => number({ integer: true })(1.5), { message: 'must be a whole number' });
+  assert.throws(() => number({ min: 1 })(0), { message: 'must be at least 1' });
+  assert.throws(() => number({ max: 10 })(11), { message: 'must be at most 10' });
+});
+
+test('options match as strings and keep their own type', () => {
+  const cutsPerBar = oneOf([0, 0.5, 1], { fallback: 1 });
+
+  assert.equal(cutsPerBar('0.5'), 0.5);
+  assert.equal(cutsPerBar(null), 1);
+  assert.throws(() => cutsPerBar('3'), { message: 'must be one of: 0, 0.5, 1' });
+});
+
+test('booleans accept form strings unless strict', () => {
+  assert.equal(boolean()('true'), true);
+  assert.equal(boolean()(false), false);
+  assert.equal(boolean({ fallback: true })(undefined), true);
+  assert.throws(() => boolean({ strict: true })('true'), { message: 'must be true or false' });
+});
+
+test('JSON strings are parsed before their rule', () => {
+  const count = json(number({ min: 1 }));
+
+  assert.equal(count('4'), 4);
+  assert.equal(count(4), 4);
+  assert.throws(() => json(value => value)('{'), { message: 'must be valid JSON' });
+});
+
+test('validation errors are a 400 and anything else a 500', () => {
+  const res = createResponse();
+  sendValidationError(res, fieldError('prompt', 'is required'));
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body, { error: 'prompt is required', fields: [{ field: 'prompt', message: 'is required' }] });
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    sendValidationError(res, new Error('database is down'));
+  } finally {
+    console.error = originalError;
+  }
+  assert.equal(res.statusCode, 500);
+  assert.deepEqual(res.body, { error: 'database is down' });
+});
@@ -0,0 +1,268 @@
+import ffmpeg from 'fluent-ffmpeg';
+import * as fs from 'fs/promises';
+import { runFfmpeg, probeMedia, hasFilter, timemarkToSeconds, escapeFilterPath } from './ffmpeg.js';
+import { planEvenCuts } from './audioAnalysis.js';
+import { getOutputPreset, getContainer, encoderOptions } from './presets.js';
+
+const FPS = 24;
+
+// Extra hold on the last still so rounding never leaves the video shorter than the audio
+const TAIL_PADDING = 0.5;
+
+export const MOTIONS = ['static', 'zoom', 'pan'];
+export const TRANSITIONS = ['cut', 'crossfade', 'fadeblack', 'slide'];
+
+export const DEFAULT_MOTION = 'zoom';
+export const DEFAULT_TRANSITION = 'crossfade';
+export const DEFAULT_TRANSITION_DURATION = 0.75;
+
+// Transitions that overlap neighbouring stills, by their xfade name. ffmpeg before 4.3
+// has no xfade, so there the stills are overlaid instead (see overlayTransitions).
+const XFADE_TRANSITIONS = {
+  crossfade: 'fade',
+  slide: 'slideleft'
+};
+
+// Filter chain that turns one still into `frameCount` frames of WxH video
+function stillFilter({ index, motion, frameCount, width, height }) {
+  if (motion === 'static') {
+    return `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`;
+  }
+
+  // zoompan works on a single input frame; upscaling first keeps the motion from jittering
+  const last = Math.max(frameCount - 1, 1);
+  let zoom;
+  let x;
+  if (motion === 'zoom') {
+    zoom = `1+0.2*on/${last}`;
+    x = 'iw/2-(iw/zoom/2)';
+  } else {
+    // Pan at a fixed zoom, alternating direction from still to still
+    zoom = '1.2';
+    x = index % 2 === 0 ? `(iw-iw/zoom)*on/${last}` : `(iw-iw/zoom)*(1-on/${last})`;
+  }
+
+  return [
+    `scale=${width * 2}:${height * 2}:force_original_aspect_ratio=increase`,
+    `crop=${width * 2}:${height * 2}`,
+    `zoompan=z='${zoom}':x='${x}':y='ih/2-(ih/zoom/2)':d=${frameCount}:s=${width}x${height}:fps=${FPS}`
+  ].join(',');
+}
+
+// First output frame and frame count of each still so that scene i takes over at
+// cutTimes[i]. Overlapping transitions are centred on the cut, so a still starts half
+// a transition early and ends half a transition late. Boundaries are rounded rather
+// than lengths so the rounding error never adds up along the timeline.
+function planSegments(cutTimes, totalDuration, overlap) {
+  const count = cutTimes.length;
+  return cutTimes.map((start, i) => {
+    const from = i > 0 ? start - overlap / 2 : 0;
+    const to = i < count - 1 ? cutTimes[i + 1] + overlap / 2 : totalDuration + TAIL_PADDING;
+    const startFrame = Math.round(from * FPS);
+    return { startFrame, frameCount: Math.max(Math.round(to * FPS) - startFrame, 1) };
+  });
+}
+
+// Horizontal position of still i in a slide without xfade: it comes in from the right
+// while the one before leaves to the left, over the `duration` its segment overlaps each
+// neighbour. `t` is the overlay's timestamp.
+function slidePosition({ index, count, segment, duration, width }) {
+  const start = segment.startFrame / FPS;
+  const end = (segment.startFrame + segment.frameCount) / FPS;
+  let x = '0';
+  if (index < count - 1) {
+    x = `if(gt(t,${(end - duration).toFixed(3)}),-${width}*(t-${(end - duration).toFixed(3)})/${duration.toFixed(3)},${x})`;
+  }
+  if (index > 0) {
+    x = `if(lt(t,${(start + duration).toFixed(3)}),${width}*(1-(t-${start.toFixed(3)})/${duration.toFixed(3)}),${x})`;
+  }
+  return x;
+}
+
+// Overlapping transitions without xfade: every still is laid at its start time over a
+// black background and the stills before it. A crossfading still fades in from
+// transparent; a sliding one moves in (see slidePosition).
+function overlayTransitions({ segments, transition, transitionDuration, width, height, output }) {
+  const last = segments[segments.length - 1];
+  const filters = [
+    `color=c=black:s=${width}x${height}:r=${FPS}:d=${((last.startFrame + last.frameCount) / FPS).toFixed(3)},setsar=1[bg]`
+  ];
+  let previous = 'bg';
+  segments.forEach((segment, i) => {
+    const label = i === segments.length - 1 ? output : `o${i}`;
+    const x = transition === 'slide'
+      ? slidePosition({ index: i, count: segments.length, segment, duration: transitionDuration, width })
+      : '0';
+    filters.push(`[${previous}][s${i}]overlay=x='${x}':y=0:eval=frame:eof_action=pass[${label}]`);
+    previous = label;
+  });
+  return filters;
+}
+
+function buildFilterGraph({ segments, motion, transition, transitionDuration, width, height, burnInPath, useXfade }) {
+  const filters = [];
+  const count = segments.length;
+  const overlaid = count > 1 && XFADE_TRANSITIONS[transition] && !useXfade;
+
+  segments.forEach(({ startFrame, frameCount }, i) => {
+    let chain = `[${i}:v]${stillFilter({ index: i, motion, frameCount, width, height })}` +
+      `,setsar=1,fps=${FPS},format=yuv420p`;
+
+    if (transition === 'fadeblack') {
+      // Half the transition fading out of one still, half fading into the next
+      const half = transitionDuration / 2;
+      const seconds = frameCount / FPS;
+      if (i > 0) {
+        chain += `,fade=t=in:st=0:d=${half}`;
+      }
+      if (i < count - 1) {
+        chain += `,fade=t=out:st=${(seconds - half).toFixed(3)}:d=${half}`;
+      }
+    }
+
+    // Overlaid stills keep their place on the timeline; the others are joined end to end
+    if (overlaid) {
+      if (transition === 'crossfade' && i > 0) {
+        chain += `,format=yuva420p,fade=t=in:st=0:d=${transitionDuration.toFixed(3)}:alpha=1`;
+      }
+      filters.push(`${chain},settb=AVTB,setpts=PTS-STARTPTS+${(startFrame / FPS).toFixed(3)}/TB[s${i}]`);
+    } else {
+      filters.push(`${chain},settb=AVTB,setpts=PTS-STARTPTS[s${i}]`);
+    }
+  });
+
+  // Captions go on top of everything else, so the stills are joined into [base] first
+  const output = burnInPath ? 'base' : 'v';
+
+  if (count === 1) {
+    filters.push(`[s0]null[${output}]`);
+  } else if (overlaid) {
+    filters.push(...overlayTransitions({ segments, transition, transitionDuration, width, height, output }));
+  } else if (XFADE_TRANSITIONS[transition]) {
+    let previous = 's0';
+    for (let i = 1; i < count; i++) {
+      const label = i === count - 1 ? output : `x${i}`;
+      filters.push(
+        `[${previous}][s${i}]xfade=transition=${XFADE_TRANSITIONS[transition]}` +
+        `:duration=${transitionDuration.toFixed(3)}:offset=${(segments[i].startFrame / FPS).toFixed(3)}[${label}]`
+      );
+      previous = label;
+    }
+  } else {
+    const inputs = segments.map((_, i) => `[s${i}]`).join('');
+    filters.push(`${inputs}concat=n=${count}:v=1:a=0[${output}]`);
+  }
+
+  if (burnInPath) {
+    filters.push(`[base]ass=filename=${escapeFilterPath(burnInPath)}[v]`);
+  }
+
+  return filters;
+}
+
+// Render the stills over the soundtrack. Still i is on screen from cutTimes[i] (scene
+// start times, evenly spaced when omitted) and the result is cut to the exact length
+// of the audio. `preset` (see presets.js) sets the frame size, codecs and bitrate.
+// Captions can be burned in from an ASS script (`burnInPath`) and/or muxed as a soft
+// subtitle track from a WebVTT file (`subtitlePath`).
+export async function createVideo(frames, audioPath, outputPath, {
+  cutTimes,
+  preset = getOutputPreset(),
+  burnInPath,
+  subtitlePath,
+  motion = DEFAULT_MOTION,
+  transition = DEFAULT_TRANSITION,
+  transitionDuration = DEFAULT_TRANSITION_DURATION,
+  signal,
+  onProgress = () => {}
+} = {}) {
+  if (!frames.length) {
+    throw new Error('No frames to render');
+  }
+
+  const { duration: audioDuration } = await probeMedia(audioPath);
+  if (!audioDuration) {
+    throw new Error('Could not determine soundtrack length');
+  }
+
+  const useXfade = Boolean(XFADE_TRANSITIONS[transition]) && await hasFilter('xfade');
+
+  const sceneStarts = cutTimes || planEvenCuts(audioDuration, frames.length);
+  if (sceneStarts.length !== frames.length) {
+    throw new Error(`Got ${frames.length} frames for ${sceneStarts.length} scenes`);
+  }
+
+  // A transition can take at most half of the shortest scene, in whole frames
+  const shortestScene = Math.min(...sceneStarts.map((start, i) => (sceneStarts[i + 1] ?? audioDuration) - start));
+  const overlap = transition === 'cut'
+    ? 0
+    : Math.max(Math.floor(Math.min(transitionDuration, shortestScene / 2) * FPS), 2) / FPS;
+  const segments = planSegments(sceneStarts, audioDuration, XFADE_TRANSITIONS[transition] ? overlap : 0);
+
+  console.log('Creating video:', {
+    frames: frames.length,
+    audio: audioPath,
+    duration: audioDuration,
+    motion,
+    transition,
+    preset: preset.name,
+    output: outputPath
+  });
+
+  const command = ffmpeg();
+  frames.forEach((frame, i) => {
+    if (motion === 'static') {
+      command.input(frame).inputOptions(['-loop', '1', '-framerate', String(FPS), '-t', String(segments[i].frameCount / FPS)]);
+    } else {
+      command.input(frame);
+    }
+  });
+  command.input(audioPath);
+  if (subtitlePath) {
+    command.input(subtitlePath);
+  }
+
+  command
+    .complexFilter(buildFilterGraph({
+      segments,
+      motion,
+      transition,
+      transitionDuration: overlap,
+      width: preset.width,
+      height: preset.height,
+      burnInPath,
+      useXfade
+    }))
+    .outputOptions([
+      '-map', '[v]',
+      '-map', `${frames.length}:a`,
+      ...(subtitlePath ? ['-map', `${frames.length + 1}:s`, '-c:s', getContainer(preset).subtitleCodec] : []),
+      '-t', audioDuration.toFixed(3),
+      '-r', String(FPS),
+      ...encoderOptions(preset),
+      '-pix_fmt', 'yuv420p'
+    ])
+    .output(outputPath)
+    .on('progress', progress => {
+      const percent = Math.min(Math.round((timemarkToSeconds(progress.timemark) / audioDuration) * 100), 100);
+      onProgress({
+        stage: `Encoding video: ${percent}%`,
+        progress: 75 + Math.round(percent * 0.2)
+      });
+    });
+
+  try {
+    await runFfmpeg(command, { signal });
+  } catch (err) {
+    // Don't leave a half-written file behind
+    await fs.unlink(outputPath).catch(() => {});
+    if (signal?.aborted) {
+      throw new Error('Video creation cancelled');
+    }
+    console.error('Video creation error:', err);
+    throw new Error(`Failed to create video: ${err.message}`);
+  }
+
+  console.log('Video creation completed:', outputPath);
+  return { outputPath, duration: audioDuration, cutTimes: sceneStarts, motion, transition, preset: preset.name };
+}
@@ -1,16 +1,81 @@
-import { useState, useEffect, useCallback } from 'react';
-import { Button, CircularProgress, LinearProgress, TextField, Typography, Container, Paper, Stack, Box } from '@mui/material';
+import { useState, useEffect } from 'react';
+import { Button, CircularProgress, LinearProgress, TextField, Typography, Container, Paper, Stack, Box, MenuItem } from '@mui/material';
 import { Alert, AlertTitle } from '@mui/material';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import StoryboardEditor from './components/StoryboardEditor';
+import Gallery from './components/Gallery';
+import AuthForm from './components/AuthForm';
+import VideoSources from './components/VideoSources';
+import HealthBanner from './components/HealthBanner';
+import AdvancedImageSettings, { DEFAULT_IMAGE_SETTINGS } from './components/AdvancedImageSettings';
+import CaptionsEditor, { DEFAULT_CAPTION_STYLE } from './components/CaptionsEditor';
+import { darkFieldSx } from './components/fieldStyles';
+import { formatDuration, formatUsage } from './formatters';
 
 const API_BASE_URL = 'http://localhost:5000';
+const MAX_RECONNECT_ATTEMPTS = 5;
+const AUDIO_ACCEPT = '.mp3,.wav,.flac,.ogg,audio/mpeg,audio/wav,audio/flac,audio/ogg';
+
+// Labels for the choices /api/render-options lists; anything else shows its API name
+const MOTION_LABELS = {
+  static: 'Static',
+  zoom: 'Slow zoom',
+  pan: 'Pan'
+};
+
+const TRANSITION_LABELS = {
+  cut: 'Cut',
+  crossfade: 'Crossfade',
+  fadeblack: 'Fade through black',
+  slide: 'Slide'
+};
+
+const CUTS_PER_BAR_LABELS = {
+  0: 'Evenly spaced',
+  0.25: 'Every 4 bars',
+  0.5: 'Every 2 bars',
+  1: 'Every bar',
+  2: 'Twice per bar',
+  4: 'Every beat'
+};
+
+const selectSx = {
+  ...darkFieldSx,
+  minWidth: 200,
+};
+
+const outlinedButtonSx = {
+  color: '#93c5fd',
+  borderColor: '#4b5563',
+  '&:hover': {
+    borderColor: '#60a5fa',
+  }
+};
+
+// Read an audio file's length in the browser so the form can show it before upload
+const readAudioDuration = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const audio = new Audio();
+  audio.preload = 'metadata';
+  audio.onloadedmetadata = () => {
+    URL.revokeObjectURL(url);
+    resolve(audio.duration);
+  };
+  audio.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not read the audio file'));
+  };
+  audio.src = url;
+});
 
 export default function VideoGenerator() {
+  // The logged-in account; undefined until the session has been checked, null when logged out
+  const [user, setUser] = useState(undefined);
   const [prompt, setPrompt] = useState('');
   const [duration, setDuration] = useState(10);
   const [isGenerating, setIsGenerating] = useState(false);
   const [currentGeneration, setCurrentGeneration] = useState(null);
-  const [previousGenerations, setPreviousGenerations] = useState([]);
+  const [lastVideoId, setLastVideoId] = useState(null);
   const [error, setError] = useState(null);
   const [progress, setProgress] = useState(0);
   const [status, setStatus] = useState('');
@@ -19,76 +84,188 @@ export default function VideoGenerator() {
   const [generatedVideo, setGeneratedVideo] = useState(null);
   const [isCompleted, setIsCompleted] = useState(false);
   const [currentRequestId, setCurrentRequestId] = useState(null);
+  const [cancelling, setCancelling] = useState(false);
+  const [audioFile, setAudioFile] = useState(null);
+  const [audioDuration, setAudioDuration] = useState(null);
+  const [motion, setMotion] = useState('zoom');
+  const [transition, setTransition] = useState('crossfade');
+  const [outputPreset, setOutputPreset] = useState('square');
+  const [cutsPerBar, setCutsPerBar] = useState(1);
+  const [bpm, setBpm] = useState(null);
+  const [storyboard, setStoryboard] = useState(null);
+  // Which kind of storyboard is being fetched: 'draft', 'plan' or null
+  const [draftingStoryboard, setDraftingStoryboard] = useState(null);
+  // Title, music prompt and visual style of an expanded idea
+  const [plan, setPlan] = useState(null);
+  const [captionsText, setCaptionsText] = useState('');
+  const [captionStyle, setCaptionStyle] = useState(DEFAULT_CAPTION_STYLE);
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [imageSettings, setImageSettings] = useState(DEFAULT_IMAGE_SETTINGS);
+  // The server's default image provider, with the settings it lets us tune
+  const [imageProvider, setImageProvider] = useState(null);
+  // Formats, motions, transitions, scene change rates and the largest seed the server takes
+  const [renderOptions, setRenderOptions] = useState(null);
+  // Credits left this month and the generation rate limit
+  const [usage, setUsage] = useState(null);
 
-  const checkVideoStatus = useCallback(async (requestId) => {
-    try {
-      const progressResponse = await fetch(`http://localhost:5001/progress/${requestId}`);
-      const progressData = await progressResponse.json();
-      return progressData;
-    } catch (error) {
-      throw new Error('Error checking progress: ' + error.message);
+  useEffect(() => {
+    if (!currentRequestId || !loading) {
+      return undefined;
     }
-  }, []);
 
-  useEffect(() => {
-    let progressInterval;
-
-    if (currentRequestId && loading) {
-      progressInterval = setInterval(async () => {
-        try {
-          const progressData = await checkVideoStatus(currentRequestId);
-          setProgress(progressData.progress);
-          setStatus(progressData.status);
-
-          if (progressData.progress === 100 && progressData.videoUrl) {
-            setIsCompleted(true);
-            setGeneratedVideo({ videoUrl: progressData.videoUrl });
-            setLoading(false);
-            
-            const newGeneration = {
-              _id: Date.now(),
-              prompt,
-              videoUrl: progressData.videoUrl,
-              createdAt: new Date().toISOString()
-            };
-            
-            setPreviousGenerations(prev => [newGeneration, ...prev]);
-            clearInterval(progressInterval);
-          } else if (progressData.progress === -1) {
-            setError('Video generation failed. Please try again.');
-            setLoading(false);
-            clearInterval(progressInterval);
-          }
-        } catch (error) {
-          setError(error.message);
+    let eventSource = null;
+    let reconnectTimer = null;
+    let attempts = 0;
+    let finished = false;
+
+    const handleUpdate = (progressData) => {
+      setProgress(progressData.progress);
+      setStatus(progressData.stage);
+      setBpm(progressData.bpm);
+
+      if (progressData.status === 'completed' && progressData.videoUrl) {
+        finished = true;
+        setIsCompleted(true);
+        setGeneratedVideo({
+          videoUrl: progressData.videoUrl,
+          hlsUrl: progressData.hlsUrl,
+          captionsUrl: progressData.captionsUrl
+        });
+        setLoading(false);
+        setLastVideoId(progressData.videoId);
+      } else if (progressData.status === 'failed') {
+        finished = true;
+        setError(progressData.error || 'Video generation failed. Please try again.');
+        setLoading(false);
+      } else if (progressData.status === 'cancelled') {
+        finished = true;
+        setLoading(false);
+      }
+    };
+
+    const connect = () => {
+      eventSource = new EventSource(`${API_BASE_URL}/api/jobs/${currentRequestId}/events`, { withCredentials: true });
+
+      eventSource.addEventListener('progress', (event) => {
+        attempts = 0;
+        handleUpdate(JSON.parse(event.data));
+        if (finished) {
+          eventSource.close();
+        }
+      });
+
+      // The browser retries dropped connections on its own; we only step in
+      // once it has given up (e.g. the server restarted and refused the stream)
+      eventSource.onerror = () => {
+        if (finished || eventSource.readyState !== EventSource.CLOSED) {
+          return;
+        }
+        if (attempts >= MAX_RECONNECT_ATTEMPTS) {
+          setError('Lost connection to the server while tracking progress.');
           setLoading(false);
-          clearInterval(progressInterval);
+          return;
         }
-      }, 1000);
-    }
+        attempts += 1;
+        reconnectTimer = setTimeout(connect, Math.min(1000 * 2 ** attempts, 15000));
+      };
+    };
+
+    connect();
 
     return () => {
-      if (progressInterval) {
-        clearInterval(progressInterval);
+      clearTimeout(reconnectTimer);
+      if (eventSource) {
+        eventSource.close();
+      }
+    };
+  }, [currentRequestId, loading]);
+
+  useEffect(() => {
+    const fetchSession = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/auth/me`, { credentials: 'include' });
+        const data = await response.json();
+        setUser(response.ok ? data.user : null);
+      } catch (error) {
+        console.error('Failed to check the session:', error);
+        setUser(null);
       }
     };
-  }, [currentRequestId, loading, checkVideoStatus, prompt]);
+
+    fetchSession();
+  }, []);
 
   useEffect(() => {
-    const fetchPreviousGenerations = async () => {
+    if (!user) {
+      return undefined;
+    }
+
+    const fetchImageProviders = async () => {
       try {
-        const response = await fetch(`${API_BASE_URL}/api/videos`);
+        const response = await fetch(`${API_BASE_URL}/api/image-providers`, { credentials: 'include' });
         if (response.ok) {
           const data = await response.json();
-          setPreviousGenerations(data);
+          setImageProvider(data.providers.find(provider => provider.default) || null);
         }
       } catch (error) {
-        console.error('Failed to fetch previous generations:', error);
+        console.error('Failed to fetch image providers:', error);
       }
     };
 
-    fetchPreviousGenerations();
-  }, []);
+    const fetchRenderOptions = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/render-options`, { credentials: 'include' });
+        if (response.ok) {
+          setRenderOptions(await response.json());
+        }
+      } catch (error) {
+        console.error('Failed to fetch render options:', error);
+      }
+    };
+
+    fetchImageProviders();
+    fetchRenderOptions();
+  }, [user]);
+
+  // Checked again whenever a generation starts (it is charged up front) and when it ends
+  // (a failed one is refunded, a finished one corrected to its actual cost), and after an
+  // idea is expanded into a plan
+  useEffect(() => {
+    if (!user) {
+      return undefined;
+    }
+
+    const fetchUsage = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/usage`, { credentials: 'include' });
+        if (response.ok) {
+          setUsage(await response.json());
+        }
+      } catch (error) {
+        console.error('Failed to fetch usage:', error);
+      }
+    };
+
+    fetchUsage();
+    return undefined;
+  }, [user, currentRequestId, loading, draftingStoryboard]);
+
+  const handleLogout = async () => {
+    try {
+      await fetch(`${API_BASE_URL}/api/auth/logout`, { method: 'POST', credentials: 'include' });
+    } catch (error) {
+      console.error('Failed to log out:', error);
+    }
+    // Nothing of this account's work stays on screen for the next one
+    setLoading(false);
+    setCurrentRequestId(null);
+    setGeneratedVideo(null);
+    setIsCompleted(false);
+    setLastVideoId(null);
+    setError(null);
+    setUsage(null);
+    setUser(null);
+  };
 
   const handlePromptChange = (e) => {
     const newPrompt = e.target.value;
@@ -104,6 +281,103 @@ export default function VideoGenerator() {
     }
   };
 
+  const handleAudioFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    setError(null);
+    try {
+      const detected = await readAudioDuration(file);
+      setAudioFile(file);
+      setAudioDuration(detected);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleRemoveAudio = () => {
+    setAudioFile(null);
+    setAudioDuration(null);
+  };
+
+  // 'draft' splits the prompt into scenes as-is; 'plan' has the LLM expand the idea first
+  const handleDraftStoryboard = async (kind) => {
+    setDraftingStoryboard(kind);
+    setError(null);
+    try {
+      const endpoint = kind === 'plan' ? '/api/plan' : '/api/storyboard/draft';
+      const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ prompt, duration: audioFile ? audioDuration : duration }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      if (kind === 'plan') {
+        const { scenes, title, musicPrompt, style } = data.plan;
+        setPlan({ title, musicPrompt, style });
+        setStoryboard(scenes);
+      } else {
+        setPlan(null);
+        setStoryboard(data.scenes);
+      }
+    } catch (error) {
+      console.error('Error:', error);
+      setError(`Failed to ${kind === 'plan' ? 'expand idea' : 'draft storyboard'}: ${error.message}`);
+    } finally {
+      setDraftingStoryboard(null);
+    }
+  };
+
+  const handleDiscardStoryboard = () => {
+    setStoryboard(null);
+    setPlan(null);
+  };
+
+  const updatePlan = (field, value) => {
+    setPlan(current => ({ ...current, [field]: value }));
+  };
+
+  const storyboardTotal = storyboard
+    ? storyboard.reduce((total, scene) => total + (Number(scene.duration) || 0), 0)
+    : 0;
+  const storyboardInvalid = Boolean(storyboard) && (
+    !storyboard.length || storyboard.some(scene => !scene.prompt.trim() || !(Number(scene.duration) > 0))
+  );
+
+  const handleCancel = async () => {
+    if (!currentRequestId) {
+      return;
+    }
+
+    setCancelling(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/jobs/${currentRequestId}/cancel`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      setStatus('Cancelled');
+      setLoading(false);
+    } catch (error) {
+      console.error('Error:', error);
+      setError('Failed to cancel video generation: ' + error.message);
+    } finally {
+      setCancelling(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -113,18 +387,75 @@ export default function VideoGenerator() {
     setGeneratedVideo(null);
     setError(null);
     setCurrentRequestId(null);
+    setBpm(null);
+
+    // The editor keeps durations as typed; the server wants numbers
+    const scenes = storyboard && storyboard.map(scene => ({ ...scene, duration: Number(scene.duration) }));
+    const captionFields = captionsText.trim()
+      ? {
+          captions: captionsText,
+          captionFont: captionStyle.font,
+          captionSize: captionStyle.size,
+          captionPosition: captionStyle.position,
+          captionOutline: captionStyle.outline
+        }
+      : {};
+    const imageFields = {
+      ...(imageSettings.seed !== '' && { seed: imageSettings.seed }),
+      seedMode: imageSettings.seedMode,
+      negativePrompt: imageSettings.negativePrompt,
+      enhancers: imageSettings.enhancers,
+      bypassCache: imageSettings.bypassCache,
+      frameFailure: imageSettings.frameFailure
+    };
 
     try {
-      const response = await fetch('http://localhost:5000/api/generate-video', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ prompt, duration }),
-      });
+      let request;
+      if (audioFile) {
+        // Let the browser set the multipart boundary itself
+        const formData = new FormData();
+        formData.append('prompt', prompt);
+        formData.append('motion', motion);
+        formData.append('transition', transition);
+        formData.append('outputPreset', outputPreset);
+        formData.append('cutsPerBar', cutsPerBar);
+        if (scenes) {
+          formData.append('storyboard', JSON.stringify(scenes));
+        }
+        Object.entries({ ...plan, ...captionFields, ...imageFields }).forEach(([field, value]) => formData.append(field, value));
+        formData.append('imageParams', JSON.stringify(imageSettings.imageParams));
+        formData.append('audio', audioFile);
+        request = { method: 'POST', credentials: 'include', body: formData };
+      } else {
+        request = {
+          method: 'POST',
+          credentials: 'include',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            prompt,
+            duration,
+            motion,
+            transition,
+            outputPreset,
+            cutsPerBar,
+            storyboard: scenes,
+            ...plan,
+            ...captionFields,
+            ...imageFields,
+            imageParams: imageSettings.imageParams
+          }),
+        };
+      }
 
+      const response = await fetch(`${API_BASE_URL}/api/generate-video`, request);
       const data = await response.json();
-      
+
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+
       if (data.requestId) {
         setCurrentRequestId(data.requestId);
       } else {
@@ -137,8 +468,34 @@ export default function VideoGenerator() {
     }
   };
 
+  if (user === undefined) {
+    return (
+      <Container maxWidth="md" sx={{ py: 8, display: 'flex', justifyContent: 'center' }}>
+        <CircularProgress sx={{ color: '#60a5fa' }} />
+      </Container>
+    );
+  }
+
+  if (!user) {
+    return (
+      <Container maxWidth="md" sx={{ py: 8, backgroundColor: '#111827' }}>
+        <HealthBanner baseUrl={API_BASE_URL} />
+        <AuthForm baseUrl={API_BASE_URL} onAuthenticated={setUser} />
+      </Container>
+    );
+  }
+
   return (
     <Container maxWidth="md" sx={{ py: 4, backgroundColor: '#111827' }}>
+      <HealthBanner baseUrl={API_BASE_URL} />
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 2, mb: 2 }}>
+        <Typography variant="body2" sx={{ color: '#9ca3af' }}>
+          {user.email}{user.role === 'admin' && ' (admin)'}
+        </Typography>
+        <Button size="small" variant="outlined" onClick={handleLogout} sx={outlinedButtonSx}>
+          Log out
+        </Button>
+      </Box>
       <Paper elevation={3} sx={{ 
         p: 3, 
         mb: 3,
@@ -193,37 +550,244 @@ export default function VideoGenerator() {
 
             <Box sx={{ width: '100%' }}>
               <Typography gutterBottom sx={{ color: '#e5e7eb' }}>
-                Duration (seconds): {duration}
+                Soundtrack
               </Typography>
-              <TextField
-                type="number"
-                value={duration}
-                onChange={handleDurationChange}
-                inputProps={{ min: 5, max: 30 }}
-                disabled={loading}
-                sx={{ 
-                  width: 100,
-                  '& .MuiOutlinedInput-root': {
-                    backgroundColor: '#374151',
-                    color: '#f3f4f6',
-                    '& fieldset': {
-                      borderColor: '#4b5563',
-                    },
-                    '&:hover fieldset': {
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+                <Button
+                  variant="outlined"
+                  component="label"
+                  disabled={loading}
+                  sx={{
+                    color: '#93c5fd',
+                    borderColor: '#4b5563',
+                    '&:hover': {
                       borderColor: '#60a5fa',
-                    },
-                    '&.Mui-focused fieldset': {
-                      borderColor: '#3b82f6',
-                    },
-                  }
-                }}
-                size="small"
-              />
-              <Typography variant="caption" display="block" gutterBottom sx={{ color: '#9ca3af' }}>
-                Choose between 5 and 30 seconds
+                    }
+                  }}
+                >
+                  {audioFile ? 'Choose another file' : 'Upload your own track'}
+                  <input type="file" hidden accept={AUDIO_ACCEPT} onChange={handleAudioFileChange} />
+                </Button>
+                {audioFile && (
+                  <>
+                    <Typography variant="body2" sx={{ color: '#e5e7eb' }}>
+                      {audioFile.name}
+                    </Typography>
+                    <Button size="small" onClick={handleRemoveAudio} disabled={loading} sx={{ color: '#9ca3af' }}>
+                      Remove
+                    </Button>
+                  </>
+                )}
+              </Box>
+              <Typography variant="caption" display="block" gutterBottom sx={{ color: '#9ca3af', mt: 1 }}>
+                MP3, WAV, FLAC or OGG. Without a file, music is generated from your description.
               </Typography>
             </Box>
 
+            {audioFile ? (
+              <Box sx={{ width: '100%' }}>
+                <Typography gutterBottom sx={{ color: '#e5e7eb' }}>
+                  Duration: {formatDuration(audioDuration)} (from uploaded track)
+                </Typography>
+                <Typography variant="caption" display="block" gutterBottom sx={{ color: '#9ca3af' }}>
+                  The video will be as long as your track
+                </Typography>
+              </Box>
+            ) : storyboard ? (
+              <Box sx={{ width: '100%' }}>
+                <Typography gutterBottom sx={{ color: '#e5e7eb' }}>
+                  Duration: {formatDuration(storyboardTotal)} (sum of storyboard scenes)
+                </Typography>
+              </Box>
+            ) : (
+              <Box sx={{ width: '100%' }}>
+                <Typography gutterBottom sx={{ color: '#e5e7eb' }}>
+                  Duration (seconds): {duration}
+                </Typography>
+                <TextField
+                  type="number"
+                  value={duration}
+                  onChange={handleDurationChange}
+                  inputProps={{ min: 5, max: 30 }}
+                  disabled={loading}
+                  sx={{ 
+                    width: 100,
+                    '& .MuiOutlinedInput-root': {
+                      backgroundColor: '#374151',
+                      color: '#f3f4f6',
+                      '& fieldset': {
+                        borderColor: '#4b5563',
+                      },
+                      '&:hover fieldset': {
+                        borderColor: '#60a5fa',
+                      },
+                      '&.Mui-focused fieldset': {
+                        borderColor: '#3b82f6',
+                      },
+                    }
+                  }}
+                  size="small"
+                />
+                <Typography variant="caption" display="block" gutterBottom sx={{ color: '#9ca3af' }}>
+                  Choose between 5 and 30 seconds
+                </Typography>
+              </Box>
+            )}
+
+            {storyboard ? (
+              <Box sx={{ width: '100%' }}>
+                {plan && (
+                  <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mb: 3 }}>
+                    <TextField
+                      size="small"
+                      label="Title"
+                      value={plan.title}
+                      onChange={(e) => updatePlan('title', e.target.value)}
+                      disabled={loading}
+                      sx={darkFieldSx}
+                    />
+                    <TextField
+                      size="small"
+                      label="Music prompt"
+                      value={plan.musicPrompt}
+                      onChange={(e) => updatePlan('musicPrompt', e.target.value)}
+                      disabled={loading || Boolean(audioFile)}
+                      helperText={audioFile ? 'Not used with an uploaded track' : 'Genre and mood sent to the music generator'}
+                      sx={darkFieldSx}
+                    />
+                    <TextField
+                      size="small"
+                      label="Visual style"
+                      value={plan.style}
+                      onChange={(e) => updatePlan('style', e.target.value)}
+                      disabled={loading}
+                      helperText="Added to every scene's image prompt"
+                      sx={darkFieldSx}
+                    />
+                  </Box>
+                )}
+                <StoryboardEditor scenes={storyboard} onChange={setStoryboard} disabled={loading} />
+                <Button onClick={handleDiscardStoryboard} disabled={loading} sx={{ color: '#9ca3af' }}>
+                  {plan ? 'Discard plan' : 'Discard storyboard'}
+                </Button>
+                {audioFile && Math.abs(storyboardTotal - audioDuration) > 0.5 && (
+                  <Typography variant="caption" display="block" sx={{ color: '#fbbf24' }}>
+                    The storyboard is {formatDuration(storyboardTotal)} but the track is {formatDuration(audioDuration)}.
+                    Scenes past the end of the track are dropped and the last scene is held to the end.
+                  </Typography>
+                )}
+              </Box>
+            ) : (
+              <Box>
+                <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+                  <Button
+                    variant="outlined"
+                    onClick={() => handleDraftStoryboard('plan')}
+                    disabled={loading || Boolean(draftingStoryboard) || !prompt.trim()}
+                    sx={outlinedButtonSx}
+                  >
+                    {draftingStoryboard === 'plan' ? 'Expanding...' : 'Expand my idea'}
+                  </Button>
+                  <Button
+                    variant="outlined"
+                    onClick={() => handleDraftStoryboard('draft')}
+                    disabled={loading || Boolean(draftingStoryboard) || !prompt.trim()}
+                    sx={outlinedButtonSx}
+                  >
+                    {draftingStoryboard === 'draft' ? 'Drafting...' : 'Edit as storyboard'}
+                  </Button>
+                </Box>
+                <Typography variant="caption" display="block" sx={{ color: '#9ca3af', mt: 1 }}>
+                  Expand your idea into a titled plan with scenes, music and style, or split it into scenes as written.
+                  Either way you can edit everything before generating.
+                </Typography>
+              </Box>
+            )}
+
+            {renderOptions && (
+              <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+                <TextField
+                  select
+                  size="small"
+                  label="Format"
+                  value={outputPreset}
+                  onChange={(e) => setOutputPreset(e.target.value)}
+                  disabled={loading}
+                  sx={selectSx}
+                >
+                  {renderOptions.outputPresets.map(preset => (
+                    <MenuItem key={preset.name} value={preset.name}>{preset.label}</MenuItem>
+                  ))}
+                </TextField>
+                <TextField
+                  select
+                  size="small"
+                  label="Camera motion"
+                  value={motion}
+                  onChange={(e) => setMotion(e.target.value)}
+                  disabled={loading}
+                  sx={selectSx}
+                >
+                  {renderOptions.motions.map(name => (
+                    <MenuItem key={name} value={name}>{MOTION_LABELS[name] || name}</MenuItem>
+                  ))}
+                </TextField>
+                <TextField
+                  select
+                  size="small"
+                  label="Transition"
+                  value={transition}
+                  onChange={(e) => setTransition(e.target.value)}
+                  disabled={loading}
+                  sx={selectSx}
+                >
+                  {renderOptions.transitions.map(name => (
+                    <MenuItem key={name} value={name}>{TRANSITION_LABELS[name] || name}</MenuItem>
+                  ))}
+                </TextField>
+                <TextField
+                  select
+                  size="small"
+                  label="Scene changes"
+                  value={cutsPerBar}
+                  onChange={(e) => setCutsPerBar(e.target.value)}
+                  disabled={loading || Boolean(storyboard)}
+                  helperText={storyboard ? 'Set by the storyboard' : 'Cuts land on the beat of the soundtrack'}
+                  FormHelperTextProps={{ sx: { color: '#9ca3af' } }}
+                  sx={selectSx}
+                >
+                  {renderOptions.cutsPerBar.map(value => (
+                    <MenuItem key={value} value={value}>{CUTS_PER_BAR_LABELS[value] || `${value} per bar`}</MenuItem>
+                  ))}
+                </TextField>
+              </Box>
+            )}
+
+            <Box>
+              <Button onClick={() => setShowAdvanced(!showAdvanced)} sx={{ color: '#93c5fd', px: 0 }}>
+                {showAdvanced ? 'Hide advanced image settings' : 'Advanced image settings'}
+              </Button>
+              {showAdvanced && (
+                <Box sx={{ mt: 2 }}>
+                  <AdvancedImageSettings
+                    provider={imageProvider}
+                    maxSeed={renderOptions?.maxSeed}
+                    settings={imageSettings}
+                    onChange={setImageSettings}
+                    disabled={loading}
+                  />
+                </Box>
+              )}
+            </Box>
+
+            <CaptionsEditor
+              text={captionsText}
+              captionStyle={captionStyle}
+              onTextChange={setCaptionsText}
+              onStyleChange={setCaptionStyle}
+              disabled={loading}
+            />
+
             {error && (
               <Alert severity="error" sx={{ 
                 backgroundColor: '#7f1d1d',
@@ -237,31 +801,49 @@ export default function VideoGenerator() {
               </Alert>
             )}
 
-            <Button
-              type="submit"
-              variant="contained"
-              size="large"
-              disabled={loading || !prompt.trim() || wordCount > 500}
-              sx={{ 
-                py: 1.5,
-                backgroundColor: '#3b82f6',
-                '&:hover': {
-                  backgroundColor: '#2563eb',
-                },
-                '&:disabled': {
-                  backgroundColor: '#4b5563',
-                }
-              }}
-            >
-              {loading ? (
-                <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
-                  <CircularProgress size={24} color="inherit" />
-                  <span>Generating...</span>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+              <Button
+                type="submit"
+                variant="contained"
+                size="large"
+                disabled={loading || !prompt.trim() || wordCount > 500 || storyboardInvalid}
+                sx={{ 
+                  flex: '1 1 240px',
+                  py: 1.5,
+                  backgroundColor: '#3b82f6',
+                  '&:hover': {
+                    backgroundColor: '#2563eb',
+                  },
+                  '&:disabled': {
+                    backgroundColor: '#4b5563',
+                  }
+                }}
+              >
+                {loading ? (
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                    <CircularProgress size={24} color="inherit" />
+                    <span>Generating...</span>
+                  </Box>
+                ) : (
+                  'Generate Video'
+                )}
+              </Button>
+              {usage && (
+                <Box>
+                  <Typography
+                    variant="body2"
+                    sx={{ color: !usage.credits.unlimited && usage.credits.remaining <= 0 ? '#f87171' : '#e5e7eb' }}
+                  >
+                    {formatUsage(usage)}
+                  </Typography>
+                  <Typography variant="caption" display="block" sx={{ color: '#9ca3af' }}>
+                    {usage.credits.costs.perFrame} per frame, {usage.credits.costs.perMusicSecond} per second of music,
+                    {' '}{usage.credits.costs.perPlan} per expanded idea
+                    {' · '}{usage.rateLimit.remaining} of {usage.rateLimit.limit} generations left per {usage.rateLimit.windowMinutes} minutes
+                  </Typography>
                 </Box>
-              ) : (
-                'Generate Video'
               )}
-            </Button>
+            </Box>
           </Stack>
         </form>
 
@@ -281,6 +863,29 @@ export default function VideoGenerator() {
             <Typography variant="body2" align="center" sx={{ color: '#9ca3af' }}>
               {status} ({progress}%)
             </Typography>
+            {bpm && (
+              <Typography variant="caption" display="block" align="center" sx={{ color: '#9ca3af' }}>
+                Detected tempo: {bpm} BPM
+              </Typography>
+            )}
+            <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+              <Button
+                variant="outlined"
+                color="error"
+                onClick={handleCancel}
+                disabled={!currentRequestId || cancelling}
+                sx={{
+                  color: '#fca5a5',
+                  borderColor: '#7f1d1d',
+                  '&:hover': {
+                    borderColor: '#f87171',
+                    backgroundColor: 'rgba(127, 29, 29, 0.3)',
+                  }
+                }}
+              >
+                {cancelling ? 'Cancelling...' : 'Cancel'}
+              </Button>
+            </Box>
           </Box>
         )}
 
@@ -331,6 +936,7 @@ export default function VideoGenerator() {
             <video
               controls
               autoPlay
+              crossOrigin="anonymous"
               key={generatedVideo.videoUrl}
               style={{
                 position: 'absolute',
@@ -340,93 +946,17 @@ export default function VideoGenerator() {
                 height: '100%',
                 borderRadius: '4px'
               }}
-              src={`${API_BASE_URL}${generatedVideo.videoUrl}`}
-            />
+            >
+              <VideoSources video={generatedVideo} baseUrl={API_BASE_URL} />
+              {generatedVideo.captionsUrl && (
+                <track kind="subtitles" label="Lyrics" src={`${API_BASE_URL}${generatedVideo.captionsUrl}`} />
+              )}
+            </video>
           </Box>
         </Paper>
       )}
 
-      {previousGenerations.length > 0 && (
-        <Paper sx={{ 
-          p: 3,
-          backgroundColor: '#1f2937',
-          border: '1px solid #374151'
-        }}>
-          <Typography variant="h6" gutterBottom sx={{ mb: 3, color: '#f3f4f6' }}>
-            Previous Generations
-          </Typography>
-          <Box sx={{ 
-            display: 'grid',
-            gridTemplateColumns: {
-              xs: '1fr',
-              sm: '1fr 1fr',
-              md: '1fr 1fr'
-            },
-            gap: 3
-          }}>
-            {previousGenerations.map((gen, index) => (
-              <Paper 
-                key={gen._id || index} 
-                elevation={2}
-                sx={{ 
-                  p: 2,
-                  backgroundColor: '#292f3e',
-                  transition: 'all 0.2s ease-in-out',
-                  '&:hover': {
-                    backgroundColor: '#323a4c',
-                    transform: 'translateY(-2px)'
-                  }
-                }}
-              >
-                <Box sx={{ 
-                  width: '100%',
-                  height: '200px',
-                  position: 'relative',
-                  mb: 2,
-                  backgroundColor: '#000000',
-                  borderRadius: 1,
-                  overflow: 'hidden'
-                }}>
-                  <video
-                    controls
-                    style={{
-                      width: '100%',
-                      height: '100%',
-                      objectFit: 'contain'
-                    }}
-                    src={`${API_BASE_URL}${gen.videoUrl}`}
-                  />
-                </Box>
-                <Box sx={{ p: 1 }}>
-                  <Typography 
-                    variant="body2" 
-                    sx={{ 
-                      mb: 1,
-                      display: '-webkit-box',
-                      WebkitLineClamp: 2,
-                      WebkitBoxOrient: 'vertical',
-                      overflow: 'hidden',
-                      lineHeight: 1.4,
-                      color: '#e5e7eb'
-                    }}
-                  >
-                    {gen.prompt}
-                  </Typography>
-                  <Typography 
-                    variant="caption"
-                    sx={{ 
-                      display: 'block',
-                      color: '#9ca3af'
-                    }}
-                  >
-                    {new Date(gen.createdAt).toLocaleString()}
-                  </Typography>
-                </Box>
-              </Paper>
-            ))}
-          </Box>
-        </Paper>
-      )}
+      <Gallery baseUrl={API_BASE_URL} lastVideoId={lastVideoId} />
     </Container>
   );
 }
\ No newline at end of file
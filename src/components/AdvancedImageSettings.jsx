@@ -0,0 +1,193 @@
+import { Box, FormControlLabel, MenuItem, Switch, TextField, Typography } from '@mui/material';
+import { Slider } from './ui/slider';
+import { darkFieldSx } from './fieldStyles';
+
+export const DEFAULT_IMAGE_SETTINGS = {
+  seed: '',
+  seedMode: 'increment',
+  negativePrompt: '',
+  enhancers: true,
+  bypassCache: false,
+  frameFailure: 'fail',
+  imageParams: {}
+};
+
+const SEED_MODE_OPTIONS = [
+  { value: 'increment', label: 'Next seed for each frame' },
+  { value: 'fixed', label: 'Same seed for every frame' }
+];
+
+const FRAME_FAILURE_OPTIONS = [
+  { value: 'fail', label: 'Stop and report the error' },
+  { value: 'neighbour', label: 'Reuse the nearest frame' },
+  { value: 'placeholder', label: 'Show a placeholder' }
+];
+
+// Labels for the provider settings we know about; anything else shows its API name
+const CONTROL_LABELS = {
+  cfgScale: 'CFG scale',
+  steps: 'Steps',
+  sampler: 'Sampler',
+  stylePreset: 'Style preset'
+};
+
+// The slider is styled through the shadcn CSS variables; point them at the form's palette
+const sliderThemeStyle = {
+  '--primary': '217 91% 60%',
+  '--secondary': '215 14% 34%',
+  '--background': '215 28% 17%',
+  '--ring': '213 94% 68%'
+};
+
+const halfWidthSx = {
+  ...darkFieldSx,
+  flex: '1 1 220px',
+};
+
+// Seed, negative prompt, enhancers and whatever sampling settings the image provider exposes
+export default function AdvancedImageSettings({ provider, maxSeed, settings, onChange, disabled }) {
+  const controls = provider?.controls || {};
+
+  const update = (field, value) => {
+    onChange({ ...settings, [field]: value });
+  };
+
+  const updateParam = (name, value) => {
+    const imageParams = { ...settings.imageParams, [name]: value };
+    // Unset means "use the provider's default", so don't send it at all
+    if (value === '' || value === null) {
+      delete imageParams[name];
+    }
+    onChange({ ...settings, imageParams });
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+        <TextField
+          size="small"
+          type="number"
+          label="Seed"
+          placeholder="Random"
+          value={settings.seed}
+          onChange={(e) => update('seed', e.target.value)}
+          disabled={disabled}
+          inputProps={{ min: 0, max: maxSeed, step: 1 }}
+          helperText="Leave empty for a random seed"
+          FormHelperTextProps={{ sx: { color: '#9ca3af' } }}
+          sx={halfWidthSx}
+        />
+        <TextField
+          select
+          size="small"
+          label="Seed per frame"
+          value={settings.seedMode}
+          onChange={(e) => update('seedMode', e.target.value)}
+          disabled={disabled}
+          sx={halfWidthSx}
+        >
+          {SEED_MODE_OPTIONS.map(option => (
+            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      <TextField
+        fullWidth
+        size="small"
+        label="Negative prompt"
+        placeholder="Things to keep out of every frame, e.g. text, watermark, blurry"
+        value={settings.negativePrompt}
+        onChange={(e) => update('negativePrompt', e.target.value)}
+        disabled={disabled}
+        inputProps={{ maxLength: 500 }}
+        sx={darkFieldSx}
+      />
+
+      <FormControlLabel
+        control={
+          <Switch
+            checked={settings.enhancers}
+            onChange={(e) => update('enhancers', e.target.checked)}
+            disabled={disabled}
+          />
+        }
+        label="Add quality enhancers (cinematic lighting, high detail, ...) to every frame"
+        sx={{ color: '#e5e7eb' }}
+      />
+
+      <TextField
+        select
+        size="small"
+        label="If a frame can't be generated"
+        value={settings.frameFailure}
+        onChange={(e) => update('frameFailure', e.target.value)}
+        disabled={disabled}
+        sx={darkFieldSx}
+      >
+        {FRAME_FAILURE_OPTIONS.map(option => (
+          <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+        ))}
+      </TextField>
+
+      <FormControlLabel
+        control={
+          <Switch
+            checked={settings.bypassCache}
+            onChange={(e) => update('bypassCache', e.target.checked)}
+            disabled={disabled}
+          />
+        }
+        label="Skip the cache and generate every frame and the music fresh"
+        sx={{ color: '#e5e7eb' }}
+      />
+
+      {Object.entries(controls).map(([name, control]) => {
+        const label = CONTROL_LABELS[name] || name;
+
+        if (control.type === 'enum') {
+          return (
+            <TextField
+              key={name}
+              select
+              size="small"
+              label={label}
+              value={settings.imageParams[name] ?? ''}
+              onChange={(e) => updateParam(name, e.target.value)}
+              disabled={disabled}
+              sx={darkFieldSx}
+            >
+              <MenuItem value="">Provider default</MenuItem>
+              {control.values.map(value => (
+                <MenuItem key={value} value={value}>{value}</MenuItem>
+              ))}
+            </TextField>
+          );
+        }
+
+        const value = settings.imageParams[name] ?? control.default;
+        return (
+          <Box key={name} style={sliderThemeStyle}>
+            <Typography variant="body2" gutterBottom sx={{ color: '#e5e7eb' }}>
+              {label}: {value}
+            </Typography>
+            <Slider
+              min={control.min}
+              max={control.max}
+              step={control.step || (control.type === 'integer' ? 1 : 0.1)}
+              value={[value]}
+              onValueChange={([next]) => updateParam(name, next)}
+              disabled={disabled}
+            />
+          </Box>
+        );
+      })}
+
+      {provider && !Object.keys(controls).length && (
+        <Typography variant="caption" sx={{ color: '#9ca3af' }}>
+          The "{provider.name}" image provider has no sampling settings to tune.
+        </Typography>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import { Alert, Box, Button, CircularProgress, Paper, Stack, TextField, Typography } from '@mui/material';
+import { darkFieldSx } from './fieldStyles';
+
+// Login and registration. `onAuthenticated` receives the account once the server has
+// set the session cookie.
+export default function AuthForm({ baseUrl, onAuthenticated }) {
+  const [mode, setMode] = useState('login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const registering = mode === 'register';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch(`${baseUrl}/api/auth/${mode}`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email, password }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      onAuthenticated(data.user);
+    } catch (error) {
+      console.error('Authentication failed:', error);
+      setError(error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(registering ? 'login' : 'register');
+    setError(null);
+  };
+
+  return (
+    <Paper elevation={3} sx={{
+      p: 3,
+      maxWidth: 420,
+      mx: 'auto',
+      backgroundColor: '#1f2937',
+      borderRadius: 2,
+      border: '1px solid #374151'
+    }}>
+      <Typography variant="h5" gutterBottom align="center" sx={{ color: '#f3f4f6', fontWeight: 600 }}>
+        {registering ? 'Create an account' : 'Log in'}
+      </Typography>
+      <form onSubmit={handleSubmit}>
+        <Stack spacing={2}>
+          <TextField
+            type="email"
+            label="Email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            autoComplete="email"
+            disabled={submitting}
+            required
+            sx={darkFieldSx}
+          />
+          <TextField
+            type="password"
+            label="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={registering ? 'new-password' : 'current-password'}
+            helperText={registering ? 'At least 8 characters' : ''}
+            FormHelperTextProps={{ sx: { color: '#9ca3af' } }}
+            disabled={submitting}
+            required
+            sx={darkFieldSx}
+          />
+          {error && (
+            <Alert severity="error" sx={{ backgroundColor: '#7f1d1d', color: '#fecaca' }}>
+              {error}
+            </Alert>
+          )}
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={submitting || !email.trim() || !password}
+            sx={{
+              backgroundColor: '#3b82f6',
+              '&:hover': {
+                backgroundColor: '#2563eb',
+              },
+              '&:disabled': {
+                backgroundColor: '#4b5563',
+              }
+            }}
+          >
+            {submitting ? <CircularProgress size={24} color="inherit" /> : registering ? 'Create account' : 'Log in'}
+          </Button>
+        </Stack>
+      </form>
+      <Box sx={{ textAlign: 'center', mt: 2 }}>
+        <Button onClick={switchMode} disabled={submitting} sx={{ color: '#93c5fd' }}>
+          {registering ? 'Already have an account? Log in' : 'New here? Create an account'}
+        </Button>
+      </Box>
+    </Paper>
+  );
+}
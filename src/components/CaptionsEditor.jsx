@@ -0,0 +1,137 @@
+import { Box, Button, MenuItem, TextField, Typography } from '@mui/material';
+import { darkFieldSx } from './fieldStyles';
+
+export const CAPTIONS_ACCEPT = '.lrc,.srt,.vtt,.txt';
+
+export const DEFAULT_CAPTION_STYLE = {
+  font: 'Sans',
+  size: 56,
+  position: 'bottom',
+  outline: 3
+};
+
+const FONT_OPTIONS = [
+  { value: 'Sans', label: 'Sans serif' },
+  { value: 'Serif', label: 'Serif' },
+  { value: 'Monospace', label: 'Monospace' }
+];
+
+const POSITION_OPTIONS = [
+  { value: 'bottom', label: 'Bottom' },
+  { value: 'middle', label: 'Middle' },
+  { value: 'top', label: 'Top' }
+];
+
+const styleFieldSx = {
+  ...darkFieldSx,
+  width: 150,
+};
+
+// Lyrics or captions as pasted text or a loaded file, plus how the burned-in layer looks
+export default function CaptionsEditor({ text, captionStyle, onTextChange, onStyleChange, disabled }) {
+  const handleFileChange = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) {
+      onTextChange(await file.text());
+    }
+  };
+
+  const updateStyle = (field, value) => {
+    onStyleChange({ ...captionStyle, [field]: value });
+  };
+
+  return (
+    <Box sx={{ width: '100%' }}>
+      <Typography gutterBottom sx={{ color: '#e5e7eb' }}>
+        Lyrics and captions
+      </Typography>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+        <Button
+          variant="outlined"
+          component="label"
+          disabled={disabled}
+          sx={{
+            color: '#93c5fd',
+            borderColor: '#4b5563',
+            '&:hover': {
+              borderColor: '#60a5fa',
+            }
+          }}
+        >
+          Load LRC, SRT or VTT file
+          <input type="file" hidden accept={CAPTIONS_ACCEPT} onChange={handleFileChange} />
+        </Button>
+        {text && (
+          <Button size="small" onClick={() => onTextChange('')} disabled={disabled} sx={{ color: '#9ca3af' }}>
+            Clear
+          </Button>
+        )}
+      </Box>
+      <TextField
+        fullWidth
+        multiline
+        minRows={3}
+        maxRows={10}
+        placeholder={'[00:05.00]First line\n[00:09.50]Second line\n\nor\n\n0:05 First line\n0:09.5 Second line'}
+        value={text}
+        onChange={(e) => onTextChange(e.target.value)}
+        disabled={disabled}
+        sx={darkFieldSx}
+      />
+      {text.trim() && (
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mt: 2 }}>
+          <TextField
+            select
+            size="small"
+            label="Font"
+            value={captionStyle.font}
+            onChange={(e) => updateStyle('font', e.target.value)}
+            disabled={disabled}
+            sx={styleFieldSx}
+          >
+            {FONT_OPTIONS.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            size="small"
+            type="number"
+            label="Size"
+            value={captionStyle.size}
+            onChange={(e) => updateStyle('size', e.target.value)}
+            disabled={disabled}
+            inputProps={{ min: 24, max: 120 }}
+            sx={styleFieldSx}
+          />
+          <TextField
+            select
+            size="small"
+            label="Position"
+            value={captionStyle.position}
+            onChange={(e) => updateStyle('position', e.target.value)}
+            disabled={disabled}
+            sx={styleFieldSx}
+          >
+            {POSITION_OPTIONS.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            size="small"
+            type="number"
+            label="Outline"
+            value={captionStyle.outline}
+            onChange={(e) => updateStyle('outline', e.target.value)}
+            disabled={disabled}
+            inputProps={{ min: 0, max: 10 }}
+            sx={styleFieldSx}
+          />
+        </Box>
+      )}
+      <Typography variant="caption" display="block" sx={{ color: '#9ca3af', mt: 1 }}>
+        Optional. Captions are burned into the video and also added as a subtitle track players can switch off.
+      </Typography>
+    </Box>
+  );
+}
@@ -0,0 +1,354 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  IconButton,
+  InputAdornment,
+  MenuItem,
+  Paper,
+  TextField,
+  Typography
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import PushPinIcon from '@mui/icons-material/PushPin';
+import PushPinOutlinedIcon from '@mui/icons-material/PushPinOutlined';
+import SearchIcon from '@mui/icons-material/Search';
+import GalleryVideo from './GalleryVideo';
+import { darkFieldSx } from './fieldStyles';
+import { formatVideoDetails } from '../formatters';
+
+const PAGE_SIZE = 12;
+const SEARCH_DELAY_MS = 400;
+
+const STATUS_OPTIONS = [
+  { value: 'completed', label: 'Completed' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'cancelled', label: 'Cancelled' },
+  { value: 'all', label: 'All' }
+];
+
+const dialogPaperSx = {
+  backgroundColor: '#1f2937',
+  border: '1px solid #374151',
+  color: '#e5e7eb'
+};
+
+// Previous generations: search, a status filter, more pages loaded as the user scrolls
+// to the end, pinning to keep a video from expiring, and deletion after a confirmation.
+// `lastVideoId` changes whenever a new video is saved, which reloads the list from the top.
+export default function Gallery({ baseUrl, lastVideoId }) {
+  const [videos, setVideos] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [status, setStatus] = useState('completed');
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  const sentinelRef = useRef(null);
+  // Responses for an older search are dropped when they arrive after a newer one started
+  const requestRef = useRef(0);
+
+  const fetchPage = useCallback(async (cursor) => {
+    const requestId = ++requestRef.current;
+    setLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ limit: PAGE_SIZE });
+      if (query) {
+        params.set('q', query);
+      }
+      if (status !== 'all') {
+        params.set('status', status);
+      }
+      if (cursor) {
+        params.set('cursor', cursor);
+      }
+      const response = await fetch(`${baseUrl}/api/videos?${params}`, { credentials: 'include' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      if (requestId !== requestRef.current) {
+        return;
+      }
+      setVideos(current => (cursor ? [...current, ...data.videos] : data.videos));
+      setNextCursor(data.nextCursor);
+    } catch (error) {
+      if (requestId === requestRef.current) {
+        console.error('Failed to fetch previous generations:', error);
+        setError(error.message);
+      }
+    } finally {
+      if (requestId === requestRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [baseUrl, query, status]);
+
+  // Wait for a pause in typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(search.trim()), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  useEffect(() => {
+    fetchPage(null);
+  }, [fetchPage, lastVideoId]);
+
+  // Load the next page once the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor || loading || error) {
+      return undefined;
+    }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        fetchPage(nextCursor);
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [fetchPage, nextCursor, loading, error]);
+
+  const handleDelete = async () => {
+    setDeleting(true);
+    try {
+      const response = await fetch(`${baseUrl}/api/videos/${pendingDelete._id}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+      if (!response.ok && response.status !== 404) {
+        const data = await response.json();
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      setVideos(current => current.filter(video => video._id !== pendingDelete._id));
+      setPendingDelete(null);
+    } catch (error) {
+      console.error('Failed to delete video:', error);
+      setError(`Failed to delete video: ${error.message}`);
+      setPendingDelete(null);
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  const togglePinned = async (video) => {
+    try {
+      const response = await fetch(`${baseUrl}/api/videos/${video._id}`, {
+        method: 'PATCH',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pinned: !video.pinned })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      setVideos(current => current.map(item => (item._id === data._id ? { ...item, pinned: data.pinned } : item)));
+    } catch (error) {
+      console.error('Failed to pin video:', error);
+      setError(`Failed to pin video: ${error.message}`);
+    }
+  };
+
+  const filtered = Boolean(query) || status !== 'completed';
+  if (!videos.length && !filtered && !loading && !error) {
+    return null;
+  }
+
+  return (
+    <Paper sx={{
+      p: 3,
+      backgroundColor: '#1f2937',
+      border: '1px solid #374151'
+    }}>
+      <Typography variant="h6" gutterBottom sx={{ mb: 2, color: '#f3f4f6' }}>
+        Previous Generations
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 3 }}>
+        <TextField
+          size="small"
+          placeholder="Search prompts"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon />
+              </InputAdornment>
+            )
+          }}
+          sx={{ ...darkFieldSx, flex: '1 1 240px' }}
+        />
+        <TextField
+          select
+          size="small"
+          label="Status"
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          sx={{ ...darkFieldSx, minWidth: 150 }}
+        >
+          {STATUS_OPTIONS.map(option => (
+            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      {error && (
+        <Typography variant="body2" sx={{ color: '#f87171', mb: 2 }}>
+          {error}
+        </Typography>
+      )}
+
+      {!videos.length && !loading && !error && (
+        <Typography variant="body2" sx={{ color: '#9ca3af' }}>
+          No videos match.
+        </Typography>
+      )}
+
+      <Box sx={{
+        display: 'grid',
+        gridTemplateColumns: {
+          xs: '1fr',
+          sm: '1fr 1fr',
+          md: '1fr 1fr'
+        },
+        gap: 3
+      }}>
+        {videos.map((gen) => (
+          <Paper
+            key={gen._id}
+            elevation={2}
+            sx={{
+              p: 2,
+              backgroundColor: '#292f3e',
+              transition: 'all 0.2s ease-in-out',
+              '&:hover': {
+                backgroundColor: '#323a4c',
+                transform: 'translateY(-2px)'
+              }
+            }}
+          >
+            <Box sx={{
+              width: '100%',
+              height: '200px',
+              position: 'relative',
+              mb: 2,
+              backgroundColor: '#000000',
+              borderRadius: 1,
+              overflow: 'hidden'
+            }}>
+              {gen.videoUrl ? (
+                <GalleryVideo video={gen} baseUrl={baseUrl} />
+              ) : (
+                <Box sx={{ p: 2, height: '100%', display: 'flex', flexDirection: 'column', justifyContent: 'center' }}>
+                  <Typography variant="subtitle2" sx={{ color: gen.status === 'failed' ? '#f87171' : '#9ca3af' }}>
+                    {gen.status === 'failed' ? 'Generation failed' : 'Generation cancelled'}
+                  </Typography>
+                  {gen.error && (
+                    <Typography variant="caption" sx={{ color: '#9ca3af' }}>
+                      {gen.error}
+                    </Typography>
+                  )}
+                </Box>
+              )}
+            </Box>
+            <Box sx={{ p: 1, display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+              <Box sx={{ flex: 1, minWidth: 0 }}>
+                <Typography
+                  variant="body2"
+                  sx={{
+                    mb: 1,
+                    display: '-webkit-box',
+                    WebkitLineClamp: 2,
+                    WebkitBoxOrient: 'vertical',
+                    overflow: 'hidden',
+                    lineHeight: 1.4,
+                    color: '#e5e7eb'
+                  }}
+                >
+                  {gen.title || gen.prompt}
+                </Typography>
+                <Typography
+                  variant="caption"
+                  sx={{
+                    display: 'block',
+                    color: '#9ca3af'
+                  }}
+                >
+                  {new Date(gen.createdAt).toLocaleString()}
+                </Typography>
+                {formatVideoDetails(gen) && (
+                  <Typography variant="caption" sx={{ display: 'block', color: '#9ca3af' }}>
+                    {formatVideoDetails(gen)}
+                  </Typography>
+                )}
+              </Box>
+              <IconButton
+                size="small"
+                onClick={() => togglePinned(gen)}
+                sx={{ color: gen.pinned ? '#60a5fa' : '#9ca3af', '&:hover': { color: '#93c5fd' } }}
+                aria-label={gen.pinned ? 'Unpin video' : 'Pin video'}
+                title={gen.pinned ? 'Pinned: kept when old videos are cleaned up' : 'Pin to keep this video'}
+              >
+                {gen.pinned ? <PushPinIcon fontSize="small" /> : <PushPinOutlinedIcon fontSize="small" />}
+              </IconButton>
+              <IconButton
+                size="small"
+                onClick={() => setPendingDelete(gen)}
+                sx={{ color: '#9ca3af', '&:hover': { color: '#f87171' } }}
+                aria-label="Delete video"
+              >
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Box>
+          </Paper>
+        ))}
+      </Box>
+
+      <Box ref={sentinelRef} sx={{ display: 'flex', justifyContent: 'center', pt: 3 }}>
+        {loading && <CircularProgress size={28} sx={{ color: '#60a5fa' }} />}
+        {!loading && error && nextCursor && (
+          <Button onClick={() => fetchPage(nextCursor)} sx={{ color: '#93c5fd' }}>
+            Load more
+          </Button>
+        )}
+      </Box>
+
+      <Dialog
+        open={Boolean(pendingDelete)}
+        onClose={() => !deleting && setPendingDelete(null)}
+        PaperProps={{ sx: dialogPaperSx }}
+      >
+        <DialogTitle>Delete this video?</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ color: '#9ca3af' }}>
+            "{pendingDelete?.title || pendingDelete?.prompt}" and its poster, preview and captions
+            will be removed for good.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPendingDelete(null)} disabled={deleting} sx={{ color: '#9ca3af' }}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleDelete}
+            disabled={deleting}
+            variant="contained"
+            color="error"
+          >
+            {deleting ? 'Deleting...' : 'Delete'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+}
@@ -0,0 +1,66 @@
+import { useState } from 'react';
+import { Box } from '@mui/material';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import VideoSources from './VideoSources';
+
+const fillStyle = {
+  position: 'absolute',
+  top: 0,
+  left: 0,
+  width: '100%',
+  height: '100%',
+  objectFit: 'contain'
+};
+
+// Gallery tile: the poster, the looping preview while hovered, and the full video
+// with controls once clicked. Videos rendered before posters existed go straight to the player.
+export default function GalleryVideo({ video, baseUrl }) {
+  const [hovered, setHovered] = useState(false);
+  const [playing, setPlaying] = useState(false);
+
+  if (playing || !video.posterUrl) {
+    return (
+      <video
+        controls
+        autoPlay={playing}
+        preload="metadata"
+        crossOrigin="anonymous"
+        poster={video.posterUrl ? `${baseUrl}${video.posterUrl}` : undefined}
+        style={fillStyle}
+      >
+        <VideoSources video={video} baseUrl={baseUrl} />
+        {video.captionsUrl && (
+          <track kind="subtitles" label="Lyrics" src={`${baseUrl}${video.captionsUrl}`} />
+        )}
+      </video>
+    );
+  }
+
+  return (
+    <Box
+      onMouseEnter={() => setHovered(true)}
+      onMouseLeave={() => setHovered(false)}
+      onClick={() => setPlaying(true)}
+      sx={{ ...fillStyle, cursor: 'pointer' }}
+    >
+      <img src={`${baseUrl}${video.posterUrl}`} alt={video.title || video.prompt} loading="lazy" style={fillStyle} />
+      {hovered && video.previewUrl && (
+        <video muted loop autoPlay playsInline style={fillStyle} src={`${baseUrl}${video.previewUrl}`} />
+      )}
+      {!hovered && (
+        <PlayArrowIcon
+          sx={{
+            position: 'absolute',
+            top: '50%',
+            left: '50%',
+            transform: 'translate(-50%, -50%)',
+            fontSize: 56,
+            color: '#f3f4f6',
+            opacity: 0.85,
+            filter: 'drop-shadow(0 1px 3px rgba(0, 0, 0, 0.6))'
+          }}
+        />
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,82 @@
+import { useEffect, useState } from 'react';
+import { Alert, AlertTitle } from '@mui/material';
+
+const POLL_INTERVAL_MS = 30000;
+
+// Names of the server's health checks, for the banner
+const CHECK_LABELS = {
+  mongodb: 'Database',
+  musicServer: 'Music server',
+  ffmpeg: 'ffmpeg',
+  ffprobe: 'ffprobe',
+  tempDisk: 'Working storage',
+  videosDisk: 'Video storage',
+  imageProvider: 'Image provider'
+};
+
+const SEVERITY_COLOURS = {
+  error: { backgroundColor: '#7f1d1d', color: '#fecaca' },
+  warning: { backgroundColor: '#78350f', color: '#fde68a' }
+};
+
+// A banner listing what's wrong with the server while anything is, checked every
+// POLL_INTERVAL_MS. Shows nothing while all is well.
+export default function HealthBanner({ baseUrl }) {
+  // The latest /api/health report, or { unreachable: true } when there was no answer
+  const [health, setHealth] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchHealth = async () => {
+      try {
+        const response = await fetch(`${baseUrl}/api/health`, { credentials: 'include' });
+        const data = await response.json();
+        if (!cancelled) {
+          setHealth(data);
+        }
+      } catch (error) {
+        console.error('Failed to check server health:', error);
+        if (!cancelled) {
+          setHealth({ unreachable: true });
+        }
+      }
+    };
+
+    fetchHealth();
+    const timer = setInterval(fetchHealth, POLL_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [baseUrl]);
+
+  if (!health || health.status === 'ok') {
+    return null;
+  }
+
+  const severity = health.unreachable || health.status === 'unavailable' ? 'error' : 'warning';
+  const problems = health.unreachable
+    ? ['The server is not responding.']
+    : Object.entries(health.checks || {})
+      .filter(([, check]) => !check.ok)
+      // Only admins are told what went wrong
+      .map(([name, check]) => `${CHECK_LABELS[name] || name}: ${check.error || 'unavailable'}`);
+
+  return (
+    <Alert severity={severity} sx={{
+      mb: 2,
+      ...SEVERITY_COLOURS[severity],
+      '& .MuiAlert-icon': {
+        color: SEVERITY_COLOURS[severity].color
+      }
+    }}>
+      <AlertTitle>
+        {severity === 'error' ? 'New videos cannot be generated right now' : 'Some features are unavailable right now'}
+      </AlertTitle>
+      {problems.map(problem => (
+        <div key={problem}>{problem}</div>
+      ))}
+    </Alert>
+  );
+}
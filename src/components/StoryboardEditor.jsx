@@ -0,0 +1,120 @@
+import { Box, Button, IconButton, MenuItem, Paper, TextField, Typography } from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { darkFieldSx } from './fieldStyles';
+
+export const SHOT_TYPE_OPTIONS = [
+  { value: 'establishing', label: 'Wide establishing' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'closeup', label: 'Close-up' },
+  { value: 'action', label: 'Action' },
+  { value: 'aerial', label: 'Aerial' },
+  { value: 'lowangle', label: 'Low angle' },
+  { value: 'finale', label: 'Finale' }
+];
+
+// Ordered list of scenes, each with its own prompt, shot type, duration and negative prompt
+export default function StoryboardEditor({ scenes, onChange, disabled }) {
+  const totalDuration = scenes.reduce((total, scene) => total + (Number(scene.duration) || 0), 0);
+
+  const updateScene = (index, field, value) => {
+    onChange(scenes.map((scene, i) => (i === index ? { ...scene, [field]: value } : scene)));
+  };
+
+  const removeScene = (index) => {
+    onChange(scenes.filter((_, i) => i !== index));
+  };
+
+  const addScene = () => {
+    const last = scenes[scenes.length - 1];
+    onChange([
+      ...scenes,
+      {
+        prompt: last?.prompt || '',
+        shotType: 'medium',
+        duration: last?.duration || 2,
+        negativePrompt: ''
+      }
+    ]);
+  };
+
+  return (
+    <Box sx={{ width: '100%' }}>
+      <Typography gutterBottom sx={{ color: '#e5e7eb' }}>
+        Storyboard: {scenes.length} scenes, {totalDuration.toFixed(1)} seconds
+      </Typography>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+        {scenes.map((scene, index) => (
+          <Paper
+            key={index}
+            elevation={0}
+            sx={{ p: 2, backgroundColor: '#292f3e', border: '1px solid #374151' }}
+          >
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+              <Typography variant="subtitle2" sx={{ color: '#9ca3af' }}>
+                Scene {index + 1}
+              </Typography>
+              <IconButton
+                size="small"
+                onClick={() => removeScene(index)}
+                disabled={disabled || scenes.length === 1}
+                sx={{ color: '#9ca3af' }}
+                aria-label={`Remove scene ${index + 1}`}
+              >
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Box>
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+              <TextField
+                fullWidth
+                multiline
+                size="small"
+                label="Prompt"
+                value={scene.prompt}
+                onChange={(e) => updateScene(index, 'prompt', e.target.value)}
+                disabled={disabled}
+                error={!scene.prompt.trim()}
+                sx={darkFieldSx}
+              />
+              <Box sx={{ display: 'flex', gap: 1.5, flexWrap: 'wrap' }}>
+                <TextField
+                  select
+                  size="small"
+                  label="Shot type"
+                  value={scene.shotType}
+                  onChange={(e) => updateScene(index, 'shotType', e.target.value)}
+                  disabled={disabled}
+                  sx={{ ...darkFieldSx, minWidth: 180 }}
+                >
+                  {SHOT_TYPE_OPTIONS.map(option => (
+                    <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                  ))}
+                </TextField>
+                <TextField
+                  type="number"
+                  size="small"
+                  label="Seconds"
+                  value={scene.duration}
+                  onChange={(e) => updateScene(index, 'duration', e.target.value)}
+                  inputProps={{ min: 0.5, max: 60, step: 0.5 }}
+                  disabled={disabled}
+                  sx={{ ...darkFieldSx, width: 110 }}
+                />
+                <TextField
+                  size="small"
+                  label="Negative prompt (optional)"
+                  value={scene.negativePrompt}
+                  onChange={(e) => updateScene(index, 'negativePrompt', e.target.value)}
+                  disabled={disabled}
+                  sx={{ ...darkFieldSx, flex: 1, minWidth: 200 }}
+                />
+              </Box>
+            </Box>
+          </Paper>
+        ))}
+      </Box>
+      <Button onClick={addScene} disabled={disabled} sx={{ mt: 1, color: '#93c5fd' }}>
+        Add scene
+      </Button>
+    </Box>
+  );
+}
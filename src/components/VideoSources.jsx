@@ -0,0 +1,13 @@
+// Sources for a <video> of a rendered video: its HLS ladder first, for browsers that
+// stream it natively, then the video file itself, which every other browser plays.
+// A browser that can't load the playlist moves on to the file.
+export default function VideoSources({ video, baseUrl }) {
+  return (
+    <>
+      {video.hlsUrl && (
+        <source src={`${baseUrl}${video.hlsUrl}`} type="application/vnd.apple.mpegurl" />
+      )}
+      <source src={`${baseUrl}${video.videoUrl}`} />
+    </>
+  );
+}
@@ -0,0 +1,25 @@
+// Dark outlined-field styling shared by the form controls
+export const darkFieldSx = {
+  '& .MuiOutlinedInput-root': {
+    backgroundColor: '#374151',
+    color: '#f3f4f6',
+    '& fieldset': {
+      borderColor: '#4b5563',
+    },
+    '&:hover fieldset': {
+      borderColor: '#60a5fa',
+    },
+    '&.Mui-focused fieldset': {
+      borderColor: '#3b82f6',
+    },
+  },
+  '& .MuiInputLabel-root': {
+    color: '#9ca3af',
+  },
+  '& .MuiInputLabel-root.Mui-focused': {
+    color: '#60a5fa',
+  },
+  '& .MuiSvgIcon-root': {
+    color: '#9ca3af',
+  },
+};
@@ -0,0 +1,28 @@
+export const formatDuration = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  return `${minutes}:${String(rest).padStart(2, '0')}`;
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${Math.round(bytes / 1024)} KB`;
+};
+
+// "0:30 · 1080×1920 · 4.2 MB" for whatever the video document has
+export const formatVideoDetails = (video) => [
+  video.duration && formatDuration(video.duration),
+  video.width && video.height && `${video.width}×${video.height}`,
+  video.fileSize && formatFileSize(video.fileSize)
+].filter(Boolean).join(' · ');
+
+// "142 of 200 credits left · resets 1 Nov", or just the credits used for unlimited accounts
+export const formatUsage = ({ credits }) => {
+  const resets = new Date(credits.resetsAt).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+  if (credits.unlimited) {
+    return `${credits.used} credits used this month · no limit`;
+  }
+  return `${credits.remaining} of ${credits.monthlyCredits} credits left · resets ${resets}`;
+};